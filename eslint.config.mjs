@@ -125,6 +125,21 @@ export default defineConfig([
       'no-console': 'off',
     },
   },
+  {
+    // The mongoose module augmentation must repeat the type parameters of the interfaces it extends
+    files: ['src/types.ts'],
+    rules: {
+      '@typescript-eslint/no-unused-vars': [
+        'warn',
+        {
+          args: 'none',
+          ignoreRestSiblings: true,
+          varsIgnorePattern: '^(_|T$|EnforcedDocType$|THydratedDocumentType$)',
+          argsIgnorePattern: '^_',
+        },
+      ],
+    },
+  },
   {
     files: ['test/**/*.{js,ts}', '**/*.test.{js,ts}', '**/*.spec.{js,ts}'],
     languageOptions: {
@@ -0,0 +1,247 @@
+import { Model, Types, mongo } from 'mongoose';
+import { ChangeType, FieldLog, LogHistoryEntry, PluginOptions } from './types';
+import { ChangeLogPlugin, buildLogEntry } from './plugin';
+import { getTrackedChanges, extractLogContext } from './change-tracking';
+import { getValueByPath } from './utils';
+import { exitLogScope } from './log-context';
+
+/**
+ * Options for capturing changes from a MongoDB change stream.
+ * Accepts the same field tracking options as the plugin, plus change stream specific options.
+ */
+export interface ChangeStreamCaptureOptions
+  extends Omit<PluginOptions, 'logAfterWrite' | 'logFailedWrites' | 'updateMode' | 'onBatchOverflow'> {
+  /** Collection used to persist resume tokens. Default is 'log_history_resume_tokens' */
+  resumeTokenCollection?: string;
+
+  /** Key of the persisted resume token, unique per capture. Defaults to the model name */
+  captureId?: string;
+
+  /** Whether to enable pre- and post-images on the watched collection. Default is true */
+  enablePreImages?: boolean;
+
+  /**
+   * Called when the capture stops because an event could not be logged or the change stream failed.
+   * The resume token of the failed event is not persisted, so a capture started again retries it.
+   */
+  onError?: (err: Error) => void;
+}
+
+/**
+ * Handle of a running change stream capture.
+ */
+export interface ChangeStreamCapture {
+  /** The underlying MongoDB change stream. The capture reads it as an iterator, so do not add `change` listeners */
+  readonly changeStream: mongo.ChangeStream;
+
+  /** Close the change stream, once the event being logged (if any) is saved */
+  close(): Promise<void>;
+}
+
+type ChangeEvent = mongo.ChangeStreamDocument<Record<string, unknown>> & {
+  fullDocument?: Record<string, unknown> | null;
+  fullDocumentBeforeChange?: Record<string, unknown> | null;
+  documentKey?: { _id: unknown };
+};
+
+/**
+ * Turn a single change stream event into a log history entry.
+ *
+ * @param plugin - The plugin instance holding the tracking configuration.
+ * @param event - The change stream event.
+ * @returns The log entry, or null if the event does not describe a tracked change.
+ */
+function buildChangeEventLogEntry(plugin: ChangeLogPlugin, event: ChangeEvent): LogHistoryEntry | null {
+  if (!['insert', 'update', 'replace', 'delete'].includes(event.operationType)) {
+    return null;
+  }
+
+  const originalDoc = event.fullDocumentBeforeChange ?? null;
+  const updatedDoc = event.operationType === 'delete' ? null : (event.fullDocument ?? null);
+
+  let changeType: ChangeType;
+  if (event.operationType === 'insert') {
+    changeType = 'create';
+  } else if (event.operationType === 'delete') {
+    changeType = 'delete';
+  } else {
+    changeType = 'update';
+  }
+
+  if ((changeType !== 'create' && !originalDoc) || (changeType !== 'delete' && !updatedDoc)) {
+    plugin.logger.warn(
+      `[pluginLogHistory: changeStreamCapture] Missing document image for ${event.operationType} event, change is not logged. Model: ${plugin.modelName}.`
+    );
+    return null;
+  }
+
+  if (changeType === 'update' && plugin.softDelete) {
+    const wasDeleted = plugin.softDelete(originalDoc!);
+    const willBeDeleted = plugin.softDelete(updatedDoc!);
+    if (!wasDeleted && willBeDeleted) {
+      changeType = 'delete';
+    }
+  }
+
+  let changes: FieldLog[] = [];
+  let context: Record<string, unknown> | undefined;
+
+  if (changeType === 'update') {
+    changes = getTrackedChanges(originalDoc, updatedDoc, plugin.trackedFields);
+    if (!changes.length) {
+      return null;
+    }
+  } else {
+    context = extractLogContext(plugin.contextFields, originalDoc, updatedDoc);
+  }
+
+  const doc = (updatedDoc ?? originalDoc) as Record<string, unknown>;
+  const modelId = (getValueByPath(doc, plugin.modelKeyId) ?? event.documentKey?._id) as
+    | string
+    | number
+    | Types.ObjectId;
+
+  return buildLogEntry({
+    model_id: modelId,
+    model_name: plugin.modelName,
+    change_type: changeType,
+    logs: changes,
+    created_by: plugin.extractUser({ doc, userField: plugin.userField }),
+    original_doc: originalDoc,
+    updated_doc: updatedDoc,
+    context,
+    saveWholeDoc: plugin.saveWholeDoc,
+    compressDocs: plugin.compressDocs,
+    maskedFields: plugin.maskedFields,
+  });
+}
+
+/**
+ * Capture changes of a model's collection from a MongoDB change stream, instead of Mongoose middleware.
+ * Unlike the plugin hooks, this also logs writes made through the raw driver, the shell or other services.
+ * Requires a replica set or sharded cluster (MongoDB 6.0+ for pre-images).
+ *
+ * The resume token of the last logged event is persisted, so a capture started again with the same
+ * captureId continues where the previous one stopped. Events are logged at least once.
+ * If an event cannot be logged, or the change stream fails, the capture is closed and onError is called.
+ *
+ * @param model - The model whose collection is watched.
+ * @param options - Tracking and change stream options.
+ * @returns A handle to close the capture.
+ */
+export async function startChangeStreamCapture<T>(
+  model: Model<T>,
+  options: ChangeStreamCaptureOptions = {}
+): Promise<ChangeStreamCapture> {
+  const {
+    resumeTokenCollection = 'log_history_resume_tokens',
+    captureId,
+    enablePreImages = true,
+    onError,
+    ...pluginOptions
+  } = options;
+
+  const plugin = new ChangeLogPlugin(
+    { ...pluginOptions, modelName: pluginOptions.modelName ?? model.modelName },
+    model.schema
+  );
+  const tokenId = captureId ?? plugin.modelName;
+  const tokens = model.db.collection<{ _id: string; token: mongo.ResumeToken; updated_at: Date }>(
+    resumeTokenCollection
+  );
+
+  if (enablePreImages) {
+    await model.createCollection();
+    await model.db.db!.command({
+      collMod: model.collection.collectionName,
+      changeStreamPreAndPostImages: { enabled: true },
+    });
+  }
+
+  const saved = await tokens.findOne({ _id: tokenId });
+
+  const changeStream = model.collection.watch<Record<string, unknown>, ChangeEvent>([], {
+    fullDocument: 'whenAvailable',
+    fullDocumentBeforeChange: 'whenAvailable',
+    ...(saved ? { startAfter: saved.token } : {}),
+  });
+
+  // tryNext opens the change stream on the server, so startup errors reject here and every write made
+  // once the capture has started is seen. The stream is then read as an iterator, one event at a time.
+  const firstEvent = await changeStream.tryNext();
+
+  let failed = false;
+  let closing = false;
+
+  // Stop at the first failure, so the resume token never moves past an event that was not logged
+  const fail = (err: Error, message: string): void => {
+    if (failed) {
+      return;
+    }
+    failed = true;
+    plugin.logger.error(err, message);
+    changeStream.close().catch((closeErr: Error) => {
+      plugin.logger.error(
+        closeErr,
+        `[pluginLogHistory: changeStreamCapture] Failed to close change stream. Model: ${plugin.modelName}.`
+      );
+    });
+    onError?.(err);
+  };
+
+  const processEvent = async (event: ChangeEvent): Promise<void> => {
+    try {
+      const entry = buildChangeEventLogEntry(plugin, event);
+      if (entry) {
+        await plugin.logHistorySaver(plugin, [entry], {});
+      }
+      await tokens.updateOne(
+        { _id: tokenId },
+        { $set: { token: event._id, updated_at: new Date() } },
+        { upsert: true }
+      );
+    } catch (err) {
+      fail(
+        err as Error,
+        `[pluginLogHistory: changeStreamCapture] Failed to write log history, capture stopped. Model: ${plugin.modelName}.`
+      );
+    }
+  };
+
+  const run = async (): Promise<void> => {
+    let event = firstEvent;
+    while (!failed && !closing) {
+      if (event) {
+        await processEvent(event);
+        if (failed || closing) {
+          return;
+        }
+      }
+
+      try {
+        // Returns null when no event arrived within the server's await time
+        event = await changeStream.tryNext();
+      } catch (err) {
+        if (!closing) {
+          fail(
+            err as Error,
+            `[pluginLogHistory: changeStreamCapture] Change stream failed, capture stopped. Model: ${plugin.modelName}.`
+          );
+        }
+        return;
+      }
+    }
+  };
+
+  // Events are not made by the caller that started the capture, so they must not inherit its log scope
+  const running = exitLogScope(run);
+
+  return {
+    changeStream,
+    async close() {
+      closing = true;
+      await changeStream.close();
+      await running;
+    },
+  };
+}
@@ -1,4 +1,4 @@
-import { TrackedField, FieldLog, ContextFields, ArrayDiff } from './types';
+import { TrackedField, FieldLog, ContextFields, ArrayDiff, ArrayKey } from './types';
 import {
   getValueByPath,
   areValuesEqual,
@@ -6,7 +6,12 @@ import {
   exists,
   setByPath,
   arrayToKeyMap,
+  getArrayItemKey,
   diffSimpleArray,
+  isWildcardPath,
+  expandWildcardPath,
+  isPlainObject,
+  isEqual,
 } from './utils';
 
 /**
@@ -66,8 +71,30 @@ export function extractLogContext(
   return context;
 }
 
+/**
+ * Expand the tracked fields whose value is a wildcard pattern into one field per concrete path
+ * the pattern matches in either document. Other fields are kept as they are.
+ *
+ * @param trackedFields - The tracked field configurations.
+ * @param before - The document (or array item) before the change.
+ * @param after - The document (or array item) after the change.
+ * @returns The tracked fields with concrete values.
+ */
+function expandTrackedFields(
+  trackedFields: TrackedField[],
+  before: Record<string, unknown> | null | undefined,
+  after: Record<string, unknown> | null | undefined
+): TrackedField[] {
+  return trackedFields.flatMap((field) =>
+    field.value && isWildcardPath(field.value)
+      ? expandWildcardPath(field.value, before, after).map((value) => ({ ...field, value }))
+      : [field]
+  );
+}
+
 /**
  * Process changes for a simple (non-array) field.
+ * With `diffMode: 'deep'`, plain object values are compared key by key, with one log per changed leaf.
  *
  * @param field - The tracked field configuration.
  * @param beforeValue - The value before the change.
@@ -94,6 +121,37 @@ function processGenericFieldChanges(
   const beforeExists = exists(beforeValue);
   const afterExists = exists(afterValue);
 
+  const deepKeys =
+    field.diffMode === 'deep' &&
+    (isPlainObject(beforeValue) || isPlainObject(afterValue)) &&
+    (isPlainObject(beforeValue) || !beforeExists) &&
+    (isPlainObject(afterValue) || !afterExists)
+      ? new Set([
+          ...Object.keys(isPlainObject(beforeValue) ? beforeValue : {}),
+          ...Object.keys(isPlainObject(afterValue) ? afterValue : {}),
+        ])
+      : null;
+
+  // An empty object that is added or removed has no keys to compare, so it is logged as a whole below
+  if (deepKeys && (deepKeys.size || beforeExists === afterExists)) {
+    // Compare key by key; a key of the object (or a nested object) is treated as a field of its own
+    for (const key of deepKeys) {
+      log.push(
+        ...processGenericFieldChanges(
+          field,
+          isPlainObject(beforeValue) ? beforeValue[key] : undefined,
+          isPlainObject(afterValue) ? afterValue[key] : undefined,
+          originalDoc,
+          updatedDoc,
+          `${fieldName}.${key}`,
+          beforeItem,
+          afterItem
+        )
+      );
+    }
+    return log;
+  }
+
   const rawBefore = valueToString(beforeValue, field.mask);
   const rawAfter = valueToString(afterValue, field.mask);
 
@@ -143,6 +201,7 @@ function processGenericFieldChanges(
 
 /**
  * Process changes for a simple array field (array of primitives).
+ * With `trackOrder`, an array whose items only changed position logs a single 'reorder' change.
  *
  * @param field - The tracked field configuration.
  * @param beforeValue - The array before the change.
@@ -196,12 +255,91 @@ function processSimpleArrayChanges(
     });
   }
 
+  if (field.trackOrder && !added.length && !removed.length && !isEqual(beforeArray, afterArray)) {
+    log.push({
+      field_name: fieldName,
+      from_value: valueToString(beforeArray, field.mask) ?? null,
+      to_value: valueToString(afterArray, field.mask) ?? null,
+      change_type: 'reorder',
+      ...(context ? { context } : {}),
+    });
+  }
+
   return log;
 }
 
+/**
+ * A pair of items of a custom-key array before and after the change.
+ * `before` or `after` is undefined if the item was added or removed.
+ */
+interface ArrayItemPair {
+  before?: Record<string, unknown>;
+  after?: Record<string, unknown>;
+  /** The index of the item in the updated array, if the items have no key and were matched in order */
+  index?: number;
+}
+
+/**
+ * Pair the items of a custom-key array before and after the change by their key.
+ * Items without a key are paired in order: the n-th item without a key before with the n-th one after,
+ * so inserting or removing keyed items does not shift them.
+ *
+ * @param beforeArray - The array before the change.
+ * @param afterArray - The array after the change.
+ * @param arrayKey - The key field, the fields of a composite key, or a function returning the key.
+ * @returns The pairs of items.
+ */
+function pairArrayItems(
+  beforeArray: Record<string, unknown>[],
+  afterArray: Record<string, unknown>[],
+  arrayKey: ArrayKey
+): ArrayItemPair[] {
+  const beforeMap = arrayToKeyMap(beforeArray, arrayKey);
+  const afterMap = arrayToKeyMap(afterArray, arrayKey);
+  const allKeys = new Set([...Object.keys(beforeMap), ...Object.keys(afterMap)]);
+  const pairs: ArrayItemPair[] = [...allKeys].map((key) => ({ before: beforeMap[key], after: afterMap[key] }));
+
+  const isKeyless = (item: Record<string, unknown> | undefined) =>
+    exists(item) && getArrayItemKey(item, arrayKey) === undefined;
+  const keylessBefore = beforeArray.filter(isKeyless);
+  const keylessAfterIndexes = afterArray.flatMap((item, index) => (isKeyless(item) ? [index] : []));
+  for (let n = 0; n < Math.max(keylessBefore.length, keylessAfterIndexes.length); n++) {
+    const index = keylessAfterIndexes[n];
+    pairs.push({ before: keylessBefore[n], after: index === undefined ? undefined : afterArray[index], index });
+  }
+
+  return pairs;
+}
+
+/**
+ * Get the key of a custom-key array item as it is shown in the log context: the value of the key field,
+ * the values of a composite key by field path, or the result of the key function.
+ *
+ * @param item - The array item.
+ * @param arrayKey - The key field, the fields of a composite key, or a function returning the key.
+ * @returns The key of the item.
+ */
+function getItemKeyContext(item: Record<string, unknown>, arrayKey: ArrayKey): unknown {
+  if (typeof arrayKey === 'function') {
+    return arrayKey(item);
+  }
+
+  if (Array.isArray(arrayKey)) {
+    const key: Record<string, unknown> = {};
+    for (const path of arrayKey) {
+      setByPath(key, path, getValueByPath(item, path));
+    }
+    return key;
+  }
+
+  return getValueByPath(item, arrayKey);
+}
+
 /**
  * Process changes for a custom-key array field (array of objects with a unique key).
  * This handles complex arrays where objects are identified by a specific key field.
+ * Items present before and after are compared by their nested trackedFields, or otherwise by their valueField
+ * (or the whole item), with the key of the item in the context of the edit log.
  *
  * @param field - The tracked field configuration.
  * @param beforeValue - The array before the change.
@@ -228,15 +366,13 @@ function processCustomKeyArrayChanges(
   const beforeArray = Array.isArray(beforeValue) ? (beforeValue as Record<string, unknown>[]) : [];
   const afterArray = Array.isArray(afterValue) ? (afterValue as Record<string, unknown>[]) : [];
 
-  const beforeMap = arrayToKeyMap(beforeArray, field.arrayKey);
-  const afterMap = arrayToKeyMap(afterArray, field.arrayKey);
-  const allKeys = new Set([...Object.keys(beforeMap), ...Object.keys(afterMap)]);
-
   const fieldName = parentFieldName ?? field.value;
 
-  for (const key of allKeys) {
-    const beforeItem = beforeMap[key];
-    const afterItem = afterMap[key];
+  for (const { before: beforeItem, after: afterItem, index } of pairArrayItems(
+    beforeArray,
+    afterArray,
+    field.arrayKey
+  )) {
     const beforeExists = exists(beforeItem);
     const afterExists = exists(afterItem);
 
@@ -273,8 +409,30 @@ function processCustomKeyArrayChanges(
       continue;
     }
 
-    if (beforeExists && afterExists && Array.isArray(field.trackedFields)) {
+    if (!beforeItem || !afterItem) {
+      continue;
+    }
+
+    if (Array.isArray(field.trackedFields)) {
       log.push(...processSubFieldChanges(field, beforeItem, afterItem, originalDoc, updatedDoc, fieldName, context));
+      continue;
+    }
+
+    // Without nested trackedFields, the valueField (or the whole item) is compared
+    const changed = field.valueField
+      ? !areValuesEqual(beforeItem[field.valueField], afterItem[field.valueField])
+      : !isEqual(beforeItem, afterItem);
+    if (changed) {
+      log.push({
+        field_name: fieldName,
+        from_value: field.valueField ? fromValue : (valueToString(beforeItem, field.mask) ?? null),
+        to_value: field.valueField ? toValue : (valueToString(afterItem, field.mask) ?? null),
+        change_type: 'edit',
+        context: {
+          ...context,
+          ...(index === undefined ? { key: getItemKeyContext(afterItem, field.arrayKey) } : { index }),
+        },
+      });
     }
   }
 
@@ -307,7 +465,7 @@ function processSubFieldChanges(
     return log;
   }
 
-  for (const subField of field.trackedFields) {
+  for (const subField of expandTrackedFields(field.trackedFields, beforeItem, afterItem)) {
     const subPath = subField.value;
     const beforeVal = getValueByPath(beforeItem, subPath);
     const afterVal = getValueByPath(afterItem, subPath);
@@ -372,6 +530,7 @@ function processSubFieldChanges(
 /**
  * Get tracked changes between two documents based on the configured tracked fields.
  * This is the main entry point for change detection and processes all configured fields.
+ * Fields with a wildcard value are expanded against both documents, with one log per concrete path that changed.
  *
  * @param originalDoc - The original document before changes.
  * @param updatedDoc - The updated document after changes.
@@ -386,7 +545,7 @@ export function getTrackedChanges(
   const allLogs: FieldLog[] = [];
 
   if (!trackedFields || trackedFields.length === 0) return allLogs;
-  for (const field of trackedFields) {
+  for (const field of expandTrackedFields(trackedFields, originalDoc, updatedDoc)) {
     if (!field.value) continue;
     const beforeValue = getValueByPath(originalDoc, field.value);
     const afterValue = getValueByPath(updatedDoc, field.value);
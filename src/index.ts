@@ -23,23 +23,33 @@
  * @param options.singleCollection - Whether to log using a single collection ('log_histories') or per-model collection ('log_histories_{modelName}'). Default is false
  *
  * @param options.saveWholeDoc - Whether to save the original and the updated document. Default is false
+ * @param options.saveOperationContext - Whether to store the fields of the operation context in the entry's context. Default is false
  *
  * @param options.maxBatchLog - Maximum number of documents to process in bulk hooks (insertMany, updateMany, deleteMany). Default is 1000
  * @param options.batchSize - Number of documents to process per batch in bulk hooks. Default is 100
+ * @param options.onBatchOverflow - What to do when a bulk hook affects more than maxBatchLog documents: 'skip' | 'summary' | 'all' | 'reject'. Default is 'skip'
  *
  * @param options.logger - Custom logger object (must support .error and .warn methods)
  *
- * @param options.trackedFields - Array of field configurations to track
- * @param options.trackedFields[].value - Field path (supports dot notation)
+ * @param options.trackedFields - Array of field configurations to track, or 'all' to track every schema path
+ * @param options.trackAll - Whether to track every schema path; trackedFields override the derived config of their path. Default is false
+ * @param options.excludeFields - Field paths left out when tracking every schema path
+ *   Schema paths can also declare their tracking with a `logHistory` option (`true` or a tracked field config without `value`),
+ *   merged with trackedFields.
+ * @param options.trackedFields[].value - Field path (supports dot notation, and `*` / `**` wildcards matching one segment / any depth)
  * @param options.trackedFields[].arrayType - Array handling type: 'simple' | 'custom-key'
- * @param options.trackedFields[].arrayKey - Identifier/key field for the object inside the array. Used in 'custom-key'
+ * @param options.trackedFields[].arrayKey - Identifier/key field for the object inside the array, an array of fields for a composite key,
+ *   or a function returning the key. Items without a key are matched by index. Used in 'custom-key'
  * @param options.trackedFields[].valueField - Key field of the object inside array to track. Used in 'custom-key'
+ * @param options.trackedFields[].trackOrder - Log a 'reorder' change when only the order of the items changes. Used in 'simple'. Default is false
+ * @param options.trackedFields[].diffMode - 'deep' to log each changed leaf of an object value instead of the whole object. Default is 'shallow'
  * @param options.trackedFields[].contextFields - Additional fields to inject into the log for this field.
  *   - If an array, fields are extracted from the document itself.
  *   - If an object, it can have:
  *     - `doc`: array of field paths from the document itself
  *     - `item`: array of field paths from the array item (for arrays of objects)
  * @param options.trackedFields[].trackedFields - Additional nested fields on the object inside array to track. Used in 'custom-key'
+ * @param options.trackedFields[].requireReason - Reject updates that change this field without a `reason` option. Default is false
  *
  * Key Features:
  * - Field-level change tracking with dot notation support
@@ -76,6 +86,8 @@ export { changeLoggingPlugin, buildLogEntry, ChangeLogPlugin } from './plugin';
 export { getTrackedChanges, extractLogContext } from './change-tracking';
 export { getLogHistoryModel, logSchema, logHistorySchema } from './schema';
 export { pruneLogHistory } from './prune';
+export { startChangeStreamCapture } from './change-stream';
+export { withoutLogHistory, runWithLogContext } from './log-context';
 export { decompressObject, compressObject, isMongoBinary } from './compression';
 export {
   isDate,
@@ -98,14 +110,25 @@ export type {
   ChangeType,
   FieldChangeType,
   ArrayType,
+  ArrayKey,
+  DiffMode,
+  UpdateMode,
+  BatchOverflowMode,
+  BatchOverflowSummary,
+  LogContext,
+  ChangeReason,
   Logger,
   PluginOptions,
   TrackedField,
+  SchemaPathLogHistory,
   SoftDeleteConfig,
   ContextFields,
   FieldLog,
   LogHistoryEntry,
+  BatchOverflowEntry,
+  LogHistoryRecord,
   LogHistoryDocument,
+  BatchOverflowDocument,
   LogHistoryModel,
   BuildLogEntryParams,
   SaveLogHistoryParams,
@@ -116,13 +139,17 @@ export type {
   MongoBinary,
   LogHistoryPlugin,
   LogHistorySaver,
+  LogHistorySaverOptions,
 } from './types';
 export type { PruneOptions } from './prune';
+export type { ChangeStreamCaptureOptions, ChangeStreamCapture } from './change-stream';
 
 import { changeLoggingPlugin, buildLogEntry } from './plugin';
 import { getTrackedChanges } from './change-tracking';
 import { getLogHistoryModel } from './schema';
 import { pruneLogHistory } from './prune';
+import { startChangeStreamCapture } from './change-stream';
+import { withoutLogHistory, runWithLogContext } from './log-context';
 import { decompressObject, isMongoBinary } from './compression';
 
 /**
@@ -134,6 +161,9 @@ export default {
   getTrackedChanges,
   getLogHistoryModel,
   pruneLogHistory,
+  startChangeStreamCapture,
+  withoutLogHistory,
+  runWithLogContext,
   decompressObject,
   isMongoBinary,
 };
@@ -0,0 +1,79 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { LogContext } from './types';
+
+/**
+ * State shared by every write made inside a scoped helper's async context.
+ */
+interface LogScope {
+  /** Whether history logging is disabled */
+  disabled?: boolean;
+
+  /** The request-scoped context set with runWithLogContext */
+  context?: LogContext;
+}
+
+const logScopeStorage = new AsyncLocalStorage<LogScope>();
+
+/**
+ * Run a function with history logging disabled for every write made inside its async context,
+ * e.g. for data migrations and backfills. Writes outside of it, even concurrent ones, are still logged.
+ *
+ * @example
+ * await withoutLogHistory(async () => {
+ *   await Order.updateMany({}, { $set: { status: 'migrated' } });
+ * });
+ *
+ * @param fn - The function to run.
+ * @returns The result of the function.
+ */
+export function withoutLogHistory<T>(fn: () => T): T {
+  return logScopeStorage.run({ ...logScopeStorage.getStore(), disabled: true }, fn);
+}
+
+/**
+ * Run a function with a request-scoped log context. Every write made inside its async context
+ * is attributed to `context.user`, and the other fields are merged into the entry's `context`.
+ * Nested calls extend the outer context.
+ *
+ * @example
+ * app.use((req, res, next) => {
+ *   runWithLogContext({ user: req.user.id, requestId: req.id, ip: req.ip }, next);
+ * });
+ *
+ * @param context - The acting user and request metadata.
+ * @param fn - The function to run.
+ * @returns The result of the function.
+ */
+export function runWithLogContext<T>(context: LogContext, fn: () => T): T {
+  const scope = logScopeStorage.getStore();
+  return logScopeStorage.run({ ...scope, context: { ...scope?.context, ...context } }, fn);
+}
+
+/**
+ * Run a function outside of any log scope, e.g. for work triggered by a long-lived
+ * listener that must not inherit the scope it was started in.
+ *
+ * @param fn - The function to run.
+ * @returns The result of the function.
+ */
+export function exitLogScope<T>(fn: () => T): T {
+  return logScopeStorage.exit(fn);
+}
+
+/**
+ * Check whether the current async context runs inside withoutLogHistory.
+ *
+ * @returns True if history logging is disabled.
+ */
+export function isLogHistoryDisabled(): boolean {
+  return logScopeStorage.getStore()?.disabled === true;
+}
+
+/**
+ * Get the context set with runWithLogContext for the current async context.
+ *
+ * @returns The log context, or undefined outside of runWithLogContext.
+ */
+export function getLogContext(): LogContext | undefined {
+  return logScopeStorage.getStore()?.context;
+}
@@ -1,4 +1,16 @@
-import mongoose, { Document, Query, Model, Types, isValidObjectId } from 'mongoose';
+import mongoose, {
+  mongo,
+  AnyBulkWriteOperation,
+  ClientSession,
+  MongooseBulkWriteOptions,
+  Document,
+  Query,
+  Model,
+  SortOrder,
+  PipelineStage,
+  Types,
+  isValidObjectId,
+} from 'mongoose';
 import {
   PluginOptions,
   TrackedField,
@@ -8,17 +20,51 @@ import {
   ExtractUserParams,
   LogHistoryModel,
   LogHistoryEntry,
+  LogHistoryRecord,
+  BatchOverflowEntry,
   FieldLog,
   ChangeType,
   BuildLogEntryParams,
   MaskedFields,
   LogHistorySaver,
   LogHistoryPlugin,
+  UpdateMode,
+  UpdateSimulationContext,
+  BatchOverflowMode,
+  BatchOverflowContext,
+  BulkWriteQueryOperation,
+  BulkWriteLogState,
+  ChangeReason,
+  LogOperation,
+  ArrayKey,
 } from './types';
 import { getLogHistoryModel } from './schema';
 import { getTrackedChanges, extractLogContext } from './change-tracking';
 import { compressObject, decompressObject } from './compression';
-import { getValueByPath, arrayToKeyMap, isEqual, validatePluginOptions, deepClone, extractMaskedFields } from './utils';
+import { isLogHistoryDisabled, getLogContext } from './log-context';
+import {
+  getValueByPath,
+  setByPath,
+  arrayToKeyMap,
+  getArrayItemKey,
+  isEqual,
+  isObject,
+  matchesCondition,
+  matchesFilter,
+  getIdFilterValue,
+  compareValues,
+  mergeByPath,
+  validatePluginOptions,
+  deepClone,
+  extractMaskedFields,
+  extractReasonRequiredFields,
+  getSchemaTrackedFields,
+  getSchemaPathTrackedFields,
+  mergeTrackedFields,
+  isWildcardPath,
+  matchesWildcardPath,
+  updatePathTouches,
+} from './utils';
 import { saveLogHistories } from './saver';
 
 /**
@@ -38,6 +84,18 @@ import { saveLogHistories } from './saver';
  * });
  *
  * @example
+ * // Recording why the change was made
+ * const logEntry = buildLogEntry({
+ *   model_id: user._id,
+ *   model_name: 'User',
+ *   change_type: 'update',
+ *   logs: changes,
+ *   created_by: 'admin',
+ *   reason: 'Customer requested an email change',
+ *   ticket: 'SUP-1234'
+ * });
+ *
+ * @example
  * // Legacy positional API (for backward compatibility)
  * const logEntry = buildLogEntry(
  *   new Types.ObjectId(),
@@ -121,6 +179,12 @@ export function buildLogEntry(
     original_doc: originalDoc = null,
     updated_doc: updatedDoc = null,
     context: contextData = null,
+    reason,
+    ticket,
+    reference,
+    operation_id: operationId,
+    operation,
+    correlation_id: correlationId,
     saveWholeDoc: saveWholeDocument = false,
     compressDocs: compressDocuments = false,
     maskedFields: masks,
@@ -140,6 +204,30 @@ export function buildLogEntry(
     entry.context = contextData;
   }
 
+  if (reason) {
+    entry.reason = reason;
+  }
+
+  if (ticket) {
+    entry.ticket = ticket;
+  }
+
+  if (reference) {
+    entry.reference = reference;
+  }
+
+  if (operationId) {
+    entry.operation_id = operationId;
+  }
+
+  if (operation) {
+    entry.operation = operation;
+  }
+
+  if (correlationId) {
+    entry.correlation_id = correlationId;
+  }
+
   if (saveWholeDocument) {
     entry.original_doc = originalDoc
       ? compressDocuments
@@ -177,15 +265,24 @@ export class ChangeLogPlugin implements LogHistoryPlugin {
   public readonly userField: string;
   public readonly compressDocs: boolean;
   public readonly maskedFields?: MaskedFields;
+  public readonly reasonRequiredFields: string[];
   public readonly logHistorySaver: LogHistorySaver;
+  public readonly logAfterWrite: boolean;
+  public readonly logFailedWrites: boolean;
+  public readonly saveOperationContext: boolean;
+  public readonly updateMode: UpdateMode;
+  public readonly onBatchOverflow: BatchOverflowMode;
   private readonly allowAccessToLogHistory: boolean;
+  private readonly pendingLogHistories = new WeakMap<object, LogHistoryRecord[]>();
+  private readonly pendingUpdates = new WeakMap<object, Record<string, unknown>[]>();
 
-  constructor(options: PluginOptions & { modelName: string }) {
-    validatePluginOptions(options);
+  constructor(options: PluginOptions & { modelName: string }, schema?: mongoose.Schema) {
+    const declaredFields = schema ? getSchemaPathTrackedFields(schema) : [];
+    validatePluginOptions(options, declaredFields);
 
     this.modelName = options.modelName;
     this.modelKeyId = options.modelKeyId ?? '_id';
-    this.trackedFields = options.trackedFields ?? [];
+    this.trackedFields = this.resolveTrackedFields(options, declaredFields, schema);
     this.contextFields = options.contextFields ?? [];
     if (options.softDelete) {
       if (typeof options.softDelete === 'function') {
@@ -205,10 +302,46 @@ export class ChangeLogPlugin implements LogHistoryPlugin {
     this.logger = options.logger ?? console;
     this.userField = options.userField ?? 'created_by';
     this.compressDocs = options.compressDocs === true;
-    this.selectTrackedFields = [...new Set(this.trackedFields.map((f) => f.value.split('.')[0]))].join(' ');
+    const selectRoots = new Set(this.trackedFields.map((f) => f.value.split('.')[0]));
+    // A pattern starting with a wildcard can match any root path, so the whole document is selected
+    this.selectTrackedFields = selectRoots.has('*') || selectRoots.has('**') ? '' : [...selectRoots].join(' ');
     this.maskedFields = extractMaskedFields(this.trackedFields);
+    this.reasonRequiredFields = extractReasonRequiredFields(this.trackedFields);
     this.logHistorySaver = options.logHistorySaver ?? saveLogHistories;
     this.allowAccessToLogHistory = !options.logHistorySaver;
+    this.logAfterWrite = options.logAfterWrite === true;
+    this.logFailedWrites = options.logFailedWrites === true;
+    this.saveOperationContext = options.saveOperationContext === true;
+    this.updateMode = options.updateMode ?? 'simulate';
+    this.onBatchOverflow = options.onBatchOverflow ?? 'skip';
+  }
+
+  /**
+   * Resolve the tracked fields of the plugin options. The fields declared with the `logHistory` option
+   * of schema paths are merged in, and for `trackedFields: 'all'` and `trackAll` every other schema path
+   * is derived from the schema. The given trackedFields replace the declared and derived fields of the same path.
+   *
+   * @param options - The plugin options.
+   * @param declaredFields - The tracked fields declared on the schema paths.
+   * @param schema - The schema the plugin is applied to, required to track all schema paths.
+   * @returns The tracked fields.
+   */
+  private resolveTrackedFields(
+    options: PluginOptions,
+    declaredFields: TrackedField[],
+    schema?: mongoose.Schema
+  ): TrackedField[] {
+    const trackedFields = Array.isArray(options.trackedFields) ? options.trackedFields : [];
+    if (options.trackedFields !== 'all' && !options.trackAll) {
+      return mergeTrackedFields(declaredFields, trackedFields);
+    }
+
+    if (!schema) {
+      throw new Error('[mongoose-log-history] Tracking all schema paths requires the schema of the model.');
+    }
+
+    const derivedFields = getSchemaTrackedFields(schema, options.excludeFields);
+    return mergeTrackedFields(mergeTrackedFields(derivedFields, declaredFields), trackedFields);
   }
 
   /**
@@ -230,7 +363,7 @@ export class ChangeLogPlugin implements LogHistoryPlugin {
    * @param params - Parameters containing document, context, and user field configuration.
    * @returns The extracted user info, or null if none found.
    */
-  private extractUser(params: ExtractUserParams): unknown {
+  public extractUser(params: ExtractUserParams): unknown {
     const { doc, context, userField } = params;
 
     if (context && userField) {
@@ -240,6 +373,11 @@ export class ChangeLogPlugin implements LogHistoryPlugin {
       }
     }
 
+    const logContextUser = getLogContext()?.user;
+    if (logContextUser !== undefined && logContextUser !== null) {
+      return logContextUser;
+    }
+
     if (doc && userField) {
       const userFromDoc = getValueByPath(doc, userField);
       if (userFromDoc !== undefined && userFromDoc !== null) {
@@ -266,41 +404,85 @@ export class ChangeLogPlugin implements LogHistoryPlugin {
    *
    * @param originalArr - The original array.
    * @param addArr - The value(s) to add.
-   * @param arrayKey - The key for custom-key arrays.
+   * @param arrayKey - The key for custom-key arrays. Items without a key are compared as a whole.
    * @returns The updated array after simulation.
    */
   private simulateAddToSet(
     originalArr: unknown[] | null | undefined,
     addArr: unknown[] | unknown,
-    arrayKey?: string
+    arrayKey?: ArrayKey
   ): unknown[] {
     if (!Array.isArray(originalArr)) {
       originalArr = [];
     }
     const toAdd: unknown[] = Array.isArray(addArr) ? addArr : [addArr];
     const result = [...originalArr];
-    if (arrayKey) {
-      const map = arrayToKeyMap(originalArr as Record<string, unknown>[], arrayKey);
-      for (const item of toAdd) {
-        if (item && typeof item === 'object' && !Array.isArray(item)) {
-          const obj = item as Record<string, unknown>;
-          const key = (obj as Record<string, unknown>)[arrayKey];
-          if (!map[key as string]) {
-            result.push(item);
-            map[key as string] = obj;
-          }
-        }
-      }
-    } else {
-      for (const item of toAdd) {
+    const map = arrayKey ? arrayToKeyMap(originalArr as Record<string, unknown>[], arrayKey) : {};
+    for (const item of toAdd) {
+      const key = arrayKey ? getArrayItemKey(item, arrayKey) : undefined;
+      if (key === undefined) {
         if (!result.some((x) => isEqual(x, item))) {
           result.push(item);
         }
+      } else if (!Object.prototype.hasOwnProperty.call(map, key)) {
+        result.push(item);
+        map[key] = item as Record<string, unknown>;
       }
     }
     return result;
   }
 
+  /**
+   * Simulate $push update operator for arrays, including the $each, $position, $sort and $slice modifiers.
+   * Modifiers are applied in MongoDB's order: insert at $position, then $sort, then $slice.
+   *
+   * @param originalArr - The original array.
+   * @param pushValue - The value to push, or an object with $each and the modifiers.
+   * @returns The updated array after simulation.
+   */
+  private simulatePush(originalArr: unknown[] | null | undefined, pushValue: unknown): unknown[] {
+    let result = Array.isArray(originalArr) ? [...originalArr] : [];
+
+    if (!isObject(pushValue) || !('$each' in pushValue)) {
+      result.push(pushValue);
+      return result;
+    }
+
+    const { $each, $position, $sort, $slice } = pushValue;
+    const items = Array.isArray($each) ? $each : [$each];
+
+    if (typeof $position === 'number') {
+      const index = $position < 0 ? Math.max(result.length + $position, 0) : Math.min($position, result.length);
+      result.splice(index, 0, ...items);
+    } else {
+      result.push(...items);
+    }
+
+    if (typeof $sort === 'number') {
+      result.sort((a, b) => compareValues(a, b) * $sort);
+    } else if (isObject($sort)) {
+      const sortEntries = Object.entries($sort);
+      result.sort((a, b) => {
+        for (const [path, direction] of sortEntries) {
+          const compared = compareValues(
+            getValueByPath(a as Record<string, unknown>, path),
+            getValueByPath(b as Record<string, unknown>, path)
+          );
+          if (compared !== 0) {
+            return compared * (direction as number);
+          }
+        }
+        return 0;
+      });
+    }
+
+    if (typeof $slice === 'number') {
+      result = $slice >= 0 ? result.slice(0, $slice) : result.slice($slice);
+    }
+
+    return result;
+  }
+
   /**
    * Simulate $pull update operator for arrays.
    * Removes elements matching the query criteria.
@@ -356,17 +538,248 @@ export class ChangeLogPlugin implements LogHistoryPlugin {
     return originalArr.filter((item) => !valuesToRemove.some((valueToRemove) => isEqual(item, valueToRemove)));
   }
 
+  /**
+   * Simulate $bit update operator for integer fields.
+   *
+   * @param originalValue - The original integer value.
+   * @param bitOp - The bitwise operations to apply (`and`, `or`, `xor`).
+   * @returns The updated value, or undefined if the values are not integers.
+   */
+  private simulateBit(originalValue: number, bitOp: Record<string, unknown>): number | undefined {
+    if (!Number.isInteger(originalValue)) {
+      return undefined;
+    }
+
+    let result = BigInt(originalValue);
+    for (const [operation, operand] of Object.entries(bitOp)) {
+      if (!Number.isInteger(operand)) {
+        return undefined;
+      }
+
+      const value = BigInt(operand as number);
+      if (operation === 'and') {
+        result &= value;
+      } else if (operation === 'or') {
+        result |= value;
+      } else if (operation === 'xor') {
+        result ^= value;
+      } else {
+        return undefined;
+      }
+    }
+
+    return Number(BigInt.asIntN(64, result));
+  }
+
+  /**
+   * Resolve the array indices targeted by a positional segment of an update path.
+   *
+   * @param arr - The array the segment applies to.
+   * @param segment - The positional segment: `$`, `$[]` or `$[identifier]`.
+   * @param arrayPath - The path of the array in the document, used to find its conditions in the filter.
+   * @param positional - The query filter and arrayFilters.
+   * @returns The targeted indices.
+   */
+  private resolvePositionalIndices(
+    arr: unknown[],
+    segment: string,
+    arrayPath: string,
+    positional: UpdateSimulationContext
+  ): number[] {
+    const indices = arr.map((_, index) => index);
+
+    if (segment === '$[]') {
+      return indices;
+    }
+
+    if (segment === '$') {
+      const conditions = Object.entries(positional.filter ?? {}).filter(
+        ([key]) => key === arrayPath || key.startsWith(`${arrayPath}.`)
+      );
+      if (!conditions.length) {
+        return [];
+      }
+
+      const index = arr.findIndex((item) =>
+        conditions.every(([key, condition]) =>
+          key === arrayPath
+            ? matchesCondition([item], condition)
+            : matchesCondition(
+                getValueByPath(item as Record<string, unknown>, key.slice(arrayPath.length + 1)),
+                condition
+              )
+        )
+      );
+      return index === -1 ? [] : [index];
+    }
+
+    const identifier = segment.slice(2, -1);
+    const conditions = (positional.arrayFilters ?? []).flatMap((arrayFilter) =>
+      Object.entries(arrayFilter).filter(([key]) => key === identifier || key.startsWith(`${identifier}.`))
+    );
+    if (!conditions.length) {
+      return [];
+    }
+
+    return indices.filter((index) =>
+      conditions.every(([key, condition]) =>
+        key === identifier
+          ? matchesCondition(arr[index], condition)
+          : matchesCondition(
+              getValueByPath(arr[index] as Record<string, unknown>, key.slice(identifier.length + 1)),
+              condition
+            )
+      )
+    );
+  }
+
+  /**
+   * Apply an operation to every location matched by an update path with positional segments.
+   *
+   * @param container - The object or array the remaining path applies to.
+   * @param segments - The remaining path segments.
+   * @param path - The concrete path of the container in the document.
+   * @param positional - The query filter and arrayFilters.
+   * @param operate - The operation, applied to the parent and key of each matched location.
+   */
+  private applyPositionalPath(
+    container: unknown,
+    segments: string[],
+    path: string,
+    positional: UpdateSimulationContext,
+    operate: (parent: Record<string, unknown> | unknown[], key: string) => void
+  ): void {
+    const [segment, ...rest] = segments;
+    if (segment.startsWith('$') && !Array.isArray(container)) {
+      return;
+    }
+
+    const keys = segment.startsWith('$')
+      ? this.resolvePositionalIndices(container as unknown[], segment, path, positional).map(String)
+      : [segment];
+
+    for (const key of keys) {
+      const parent = container as Record<string, unknown>;
+      if (!rest.length) {
+        operate(parent, key);
+        continue;
+      }
+
+      if (parent[key] === undefined || parent[key] === null) {
+        parent[key] = {};
+      }
+      this.applyPositionalPath(parent[key], rest, `${path}.${key}`, positional, operate);
+    }
+  }
+
+  /**
+   * Apply the update paths with positional operators ($, $[] and $[identifier]) to the original document.
+   * The affected arrays are copied and updated element by element, so they are diffed as a whole
+   * (e.g. through processCustomKeyArrayChanges for custom-key arrays).
+   *
+   * @param update - The MongoDB update object with operators.
+   * @param originalDoc - The original document state.
+   * @param positional - The query filter and arrayFilters.
+   * @returns The updated arrays keyed by their path, and the update without the positional paths.
+   */
+  private applyPositionalUpdates(
+    update: Record<string, unknown>,
+    originalDoc: Record<string, unknown> | null | undefined,
+    positional: UpdateSimulationContext
+  ): { fields: Record<string, unknown>; update: Record<string, unknown> } {
+    const isPositional = (segment: string) => segment === '$' || (segment.startsWith('$[') && segment.endsWith(']'));
+    const operations: Record<string, (parent: Record<string, unknown>, key: string, value: unknown) => void> = {
+      $set: (parent, key, value) => {
+        parent[key] = value;
+      },
+      $unset: (parent, key) => {
+        if (Array.isArray(parent)) {
+          parent[Number(key)] = null;
+        } else {
+          delete parent[key];
+        }
+      },
+      $inc: (parent, key, value) => {
+        parent[key] = ((parent[key] as number) || 0) + (value as number);
+      },
+      $mul: (parent, key, value) => {
+        parent[key] = ((parent[key] as number) || 0) * (value as number);
+      },
+      $min: (parent, key, value) => {
+        parent[key] = parent[key] === undefined ? value : Math.min(parent[key] as number, value as number);
+      },
+      $max: (parent, key, value) => {
+        parent[key] = parent[key] === undefined ? value : Math.max(parent[key] as number, value as number);
+      },
+    };
+
+    const fields: Record<string, unknown> = {};
+    const remaining: Record<string, unknown> = { ...update };
+
+    const apply = (operator: string, values: Record<string, unknown>, path: string) => {
+      const segments = path.split('.');
+      const firstPositional = segments.findIndex(isPositional);
+      const arrayPath = segments.slice(0, firstPositional).join('.');
+
+      if (!(arrayPath in fields)) {
+        const originalArr = getValueByPath(originalDoc, arrayPath);
+        if (!Array.isArray(originalArr)) {
+          return;
+        }
+        fields[arrayPath] = deepClone(originalArr);
+      }
+
+      this.applyPositionalPath(
+        fields[arrayPath],
+        segments.slice(firstPositional),
+        arrayPath,
+        positional,
+        (parent, key) => operations[operator](parent as Record<string, unknown>, key, values[path])
+      );
+    };
+
+    for (const [operator, value] of Object.entries(update)) {
+      if (!operator.startsWith('$')) {
+        if (operator.split('.').some(isPositional)) {
+          apply('$set', update, operator);
+          delete remaining[operator];
+        }
+        continue;
+      }
+
+      if (!operations[operator] || !isObject(value)) {
+        continue;
+      }
+
+      const positionalPaths = Object.keys(value).filter((path) => path.split('.').some(isPositional));
+      if (!positionalPaths.length) {
+        continue;
+      }
+
+      const rest = { ...value };
+      for (const path of positionalPaths) {
+        apply(operator, value, path);
+        delete rest[path];
+      }
+      remaining[operator] = rest;
+    }
+
+    return { fields, update: remaining };
+  }
+
   /**
    * Extract the updated fields from a MongoDB update object and the original document.
    * This method simulates all MongoDB update operators to predict the final document state.
    *
    * @param update - The MongoDB update object with operators.
    * @param originalDoc - The original document state.
+   * @param simulation - The query details used to resolve positional operators and $currentDate.
    * @returns The simulated updated fields.
    */
   private extractUpdateFields(
     update: Record<string, unknown> | null | undefined,
-    originalDoc: Record<string, unknown> | null | undefined
+    originalDoc: Record<string, unknown> | null | undefined,
+    simulation: UpdateSimulationContext = {}
   ): Record<string, unknown> {
     const fields: Record<string, unknown> = {};
 
@@ -374,6 +787,10 @@ export class ChangeLogPlugin implements LogHistoryPlugin {
       return fields;
     }
 
+    const positionalUpdate = this.applyPositionalUpdates(update, originalDoc, simulation);
+    Object.assign(fields, positionalUpdate.fields);
+    update = positionalUpdate.update;
+
     // Handle direct field assignments (non-operator updates)
     Object.keys(update).forEach((key) => {
       if (!key.startsWith('$')) {
@@ -386,8 +803,8 @@ export class ChangeLogPlugin implements LogHistoryPlugin {
       Object.assign(fields, update.$set);
     }
 
-    // Handle $setOnInsert operator
-    if (update.$setOnInsert && typeof update.$setOnInsert === 'object') {
+    // Handle $setOnInsert operator, which only applies when an upsert inserts a new document
+    if (!originalDoc && update.$setOnInsert && typeof update.$setOnInsert === 'object') {
       Object.assign(fields, update.$setOnInsert);
     }
 
@@ -398,7 +815,42 @@ export class ChangeLogPlugin implements LogHistoryPlugin {
       });
     }
 
-    for (const field of this.trackedFields) {
+    // Handle $rename operator
+    if (update.$rename && typeof update.$rename === 'object') {
+      Object.entries(update.$rename as Record<string, unknown>).forEach(([from, to]) => {
+        const value = getValueByPath(originalDoc, from);
+        if (value !== undefined && typeof to === 'string') {
+          fields[from] = undefined;
+          fields[to] = value;
+        }
+      });
+    }
+
+    // Handle $currentDate operator. The increment of a timestamp is assigned by the server, so it is not predicted
+    if (update.$currentDate && typeof update.$currentDate === 'object') {
+      const now = simulation.now ?? new Date();
+      Object.entries(update.$currentDate as Record<string, unknown>).forEach(([key, type]) => {
+        fields[key] =
+          isObject(type) && (type as { $type?: unknown }).$type === 'timestamp'
+            ? new mongo.Timestamp({ t: Math.floor(now.getTime() / 1000), i: 1 })
+            : now;
+      });
+    }
+
+    // Wildcard fields are simulated for every path of an operator that matches them
+    const operatorPaths = Object.entries(update)
+      .filter(([operator, value]) => operator.startsWith('$') && isObject(value))
+      .flatMap(([, value]) => Object.keys(value as Record<string, unknown>));
+    const updatedFields = this.trackedFields.flatMap((field) =>
+      isWildcardPath(field.value)
+        ? [...new Set(operatorPaths.filter((path) => matchesWildcardPath(field.value, path)))].map((value) => ({
+            ...field,
+            value,
+          }))
+        : [field]
+    );
+
+    for (const field of updatedFields) {
       const fieldName = field.value;
       const arrayKey = field.arrayKey;
 
@@ -425,18 +877,8 @@ export class ChangeLogPlugin implements LogHistoryPlugin {
       if (update.$push && typeof update.$push === 'object') {
         const pushOp = update.$push as Record<string, unknown>;
         if (pushOp[fieldName]) {
-          const originalArr = (getValueByPath(originalDoc, fieldName) as unknown[] | undefined) ?? [];
-          const pushValue = pushOp[fieldName] as unknown;
-
-          const isEachOperation =
-            pushValue &&
-            typeof pushValue === 'object' &&
-            !Array.isArray(pushValue) &&
-            '$each' in (pushValue as Record<string, unknown>);
-
-          const pushArr = isEachOperation ? (pushValue as { $each: unknown[] }).$each : [pushValue];
-
-          fields[fieldName] = (originalArr as unknown[]).concat(pushArr);
+          const originalArr = getValueByPath(originalDoc, fieldName) as unknown[] | undefined;
+          fields[fieldName] = this.simulatePush(originalArr, pushOp[fieldName]);
         }
       }
 
@@ -497,6 +939,18 @@ export class ChangeLogPlugin implements LogHistoryPlugin {
         }
       }
 
+      // Handle $bit operator
+      if (update.$bit && typeof update.$bit === 'object') {
+        const bitOp = update.$bit as Record<string, unknown>;
+        if (bitOp[fieldName] && typeof bitOp[fieldName] === 'object') {
+          const originalValue = (getValueByPath(originalDoc, fieldName) as number) || 0;
+          const bitValue = this.simulateBit(originalValue, bitOp[fieldName] as Record<string, unknown>);
+          if (bitValue !== undefined) {
+            fields[fieldName] = bitValue;
+          }
+        }
+      }
+
       // Handle $min operator
       if (update.$min && typeof update.$min === 'object') {
         const minOp = update.$min as Record<string, unknown>;
@@ -521,14 +975,94 @@ export class ChangeLogPlugin implements LogHistoryPlugin {
     return fields;
   }
 
+  /**
+   * Merge the metadata set with runWithLogContext and, with saveOperationContext, the context of the operation
+   * into the context of a log entry. The users of both are stored as `created_by` and their `correlationId`
+   * as `correlation_id` instead.
+   *
+   * @param context - The context extracted for the entry, if any.
+   * @param operationContext - The context of the operation (the `context` option or `$locals.logContext`).
+   * @returns The merged context, or undefined if there is none.
+   */
+  private mergeLogContext(
+    context?: Record<string, unknown>,
+    operationContext?: Record<string, unknown>
+  ): Record<string, unknown> | undefined {
+    const { user: _user, correlationId: _correlationId, ...metadata } = getLogContext() ?? {};
+    const operationMetadata = this.saveOperationContext ? { ...operationContext } : {};
+    delete operationMetadata[this.userField.split('.')[0]];
+    delete operationMetadata.correlationId;
+
+    const merged = { ...metadata, ...operationMetadata, ...context };
+    return Object.keys(merged).length ? merged : undefined;
+  }
+
+  /**
+   * Get the external correlation ID of an operation, from its context or the one set with runWithLogContext.
+   *
+   * @param operationContext - The context of the operation, if any.
+   * @returns The correlation ID, or undefined if there is none.
+   */
+  private getCorrelationId(operationContext?: Record<string, unknown>): string | undefined {
+    const correlationId = operationContext?.correlationId ?? getLogContext()?.correlationId;
+    return correlationId === undefined || correlationId === null ? undefined : String(correlationId);
+  }
+
+  /**
+   * Start a new operation, shared by every log entry written by one hook invocation.
+   *
+   * @param target - The query being written, or the kind of operation for document and model writes.
+   * @returns The operation.
+   */
+  private createLogOperation(target: Query<unknown, unknown> | string): LogOperation {
+    const kind = typeof target === 'string' ? target : ((target as unknown as { op?: string }).op ?? 'query');
+    return { id: new Types.ObjectId(), kind };
+  }
+
+  /**
+   * Extract the configured contextFields of a created or deleted document.
+   * Fields missing from the document are taken from the context of the operation.
+   *
+   * @param originalData - The original document, if any.
+   * @param updatedData - The updated document, if any.
+   * @param operationContext - The context of the operation, if any.
+   * @returns The extracted context, or undefined if no contextFields are configured.
+   */
+  private extractEntryContext(
+    originalData?: Record<string, unknown>,
+    updatedData?: Record<string, unknown>,
+    operationContext?: Record<string, unknown>
+  ): Record<string, unknown> | undefined {
+    const context = extractLogContext(this.contextFields, originalData, updatedData);
+    const doc = context?.doc as Record<string, unknown> | undefined;
+    if (doc && operationContext) {
+      for (const ctxField of this.contextFields) {
+        if (getValueByPath(doc, ctxField) === undefined) {
+          setByPath(doc, ctxField, getValueByPath(operationContext, ctxField));
+        }
+      }
+    }
+    return context;
+  }
+
   /**
    * Save a single log history entry to the database.
    * This method handles the creation and saving of individual log entries.
    *
    * @param params - Parameters for saving the log history entry.
+   * @param target - The query or document being written, used to defer saving when logAfterWrite is enabled.
    */
-  private async saveLogHistory(params: SaveLogHistoryParams): Promise<void> {
-    const { modelId, originalData, updatedData, changeType = 'update', user = null } = params;
+  private async saveLogHistory(params: SaveLogHistoryParams, target?: object): Promise<void> {
+    const {
+      modelId,
+      originalData,
+      updatedData,
+      changeType = 'update',
+      user = null,
+      context: operationContext,
+      changeReason,
+      operation,
+    } = params;
 
     let changes: FieldLog[] = [];
     let context: Record<string, unknown> | undefined;
@@ -544,11 +1078,7 @@ export class ChangeLogPlugin implements LogHistoryPlugin {
         return;
       }
     } else {
-      context = extractLogContext(
-        this.contextFields,
-        originalData as Record<string, unknown>,
-        updatedData as Record<string, unknown>
-      );
+      context = this.extractEntryContext(originalData, updatedData, operationContext);
     }
 
     try {
@@ -560,13 +1090,17 @@ export class ChangeLogPlugin implements LogHistoryPlugin {
         created_by: user,
         original_doc: originalData,
         updated_doc: updatedData,
-        context,
+        context: this.mergeLogContext(context, operationContext),
+        ...changeReason,
+        operation_id: operation?.id,
+        operation: operation?.kind,
+        correlation_id: this.getCorrelationId(operationContext),
         saveWholeDoc: this.saveWholeDoc,
         compressDocs: this.compressDocs,
         maskedFields: this.maskedFields,
       });
 
-      await this.logHistorySaver(this, [logEntry]);
+      await this.writeLogHistories([logEntry], target);
     } catch (err) {
       this.logger.error(
         err as Error,
@@ -580,8 +1114,14 @@ export class ChangeLogPlugin implements LogHistoryPlugin {
    * This method is optimized for bulk operations and uses MongoDB's bulkWrite for efficiency.
    *
    * @param logEntriesData - Array of log entry parameter objects.
+   * @param target - The query being written, used to defer saving when logAfterWrite is enabled.
+   * @param session - The session of the write, for model-level hooks that have no target (optional).
    */
-  private async saveLogHistoryBatch(logEntriesData: BatchLogEntryParams[]): Promise<void> {
+  private async saveLogHistoryBatch(
+    logEntriesData: BatchLogEntryParams[],
+    target?: object,
+    session?: ClientSession | null
+  ): Promise<void> {
     const histories = logEntriesData
       .map((params) => {
         let changes: FieldLog[] = [];
@@ -598,11 +1138,7 @@ export class ChangeLogPlugin implements LogHistoryPlugin {
             return null;
           }
         } else {
-          context = extractLogContext(
-            this.contextFields,
-            params.originalData as Record<string, unknown>,
-            params.updatedData as Record<string, unknown>
-          );
+          context = this.extractEntryContext(params.originalData, params.updatedData, params.context);
         }
 
         const logEntry = buildLogEntry({
@@ -613,7 +1149,11 @@ export class ChangeLogPlugin implements LogHistoryPlugin {
           created_by: params.user,
           original_doc: params.originalData,
           updated_doc: params.updatedData,
-          context,
+          context: this.mergeLogContext(context, params.context),
+          ...params.changeReason,
+          operation_id: params.operation?.id,
+          operation: params.operation?.kind,
+          correlation_id: this.getCorrelationId(params.context),
           saveWholeDoc: this.saveWholeDoc,
           compressDocs: this.compressDocs,
           maskedFields: this.maskedFields,
@@ -628,7 +1168,7 @@ export class ChangeLogPlugin implements LogHistoryPlugin {
     }
 
     try {
-      await this.logHistorySaver(this, histories);
+      await this.writeLogHistories(histories, target, session);
     } catch (err) {
       this.logger.error(
         err as Error,
@@ -638,89 +1178,1158 @@ export class ChangeLogPlugin implements LogHistoryPlugin {
   }
 
   /**
-   * Process documents in batches for bulk operations, respecting maxBatchLog and batchSize limits.
-   * This method helps prevent memory issues and database overload during large operations.
+   * Hand log entries to the configured saver. When logAfterWrite is enabled and a target
+   * is given, the entries are held until the matching post hook confirms the write.
    *
-   * @param docs - The documents to process.
-   * @param processFn - The function to process each batch.
-   * @param operationName - The operation name for logging purposes.
-   * @param user - User information for the operation.
+   * @param histories - The log entries to save.
+   * @param target - The query or document being written (optional).
+   * @param session - The session of the write. Defaults to the session of the target.
    */
-  private async batchLogHistory<T>(
-    docs: T[],
-    processFn: (batch: T[], user?: unknown) => Promise<void>,
-    operationName = 'batch',
-    user: unknown = null
+  private async writeLogHistories(
+    histories: LogHistoryRecord[],
+    target?: object,
+    session?: ClientSession | null
   ): Promise<void> {
-    const maxBatchLog = this.maxBatchLog;
-    let processed = 0;
-    let skipped = 0;
-    let batch: T[] = [];
+    if (this.logAfterWrite && target) {
+      const pending = this.pendingLogHistories.get(target) ?? [];
+      pending.push(...histories);
+      this.pendingLogHistories.set(target, pending);
+      return;
+    }
 
-    for (const doc of docs) {
-      if (processed >= maxBatchLog) {
-        skipped++;
-        continue;
-      }
+    await this.logHistorySaver(this, histories, { session: session ?? this.getSession(target) });
+  }
 
-      batch.push(doc);
-      processed++;
+  /**
+   * Check whether logging is disabled for a write, either by withoutLogHistory
+   * or by `logHistory: false` in the query options or the document's $locals.
+   *
+   * @param options - The query or bulk operation options, or the $locals of a document.
+   * @returns True if the write must not be logged.
+   */
+  private shouldSkipLogging(options?: object | null): boolean {
+    return isLogHistoryDisabled() || (options as { logHistory?: unknown } | null | undefined)?.logHistory === false;
+  }
 
-      if (batch.length >= this.batchSize) {
-        await processFn(batch, user);
-        batch = [];
+  /**
+   * Get the context of a document write: the `context` option of save() or insertMany,
+   * extended by the document's `$locals.logContext`.
+   *
+   * @param doc - The document being written.
+   * @param options - The options of the write, if any.
+   * @returns The context of the write.
+   */
+  private getDocumentLogContext(
+    doc: Document,
+    options?: { context?: Record<string, unknown> } | null
+  ): Record<string, unknown> {
+    return { ...options?.context, ...(doc.$locals?.logContext as Record<string, unknown> | undefined) };
+  }
+
+  /**
+   * Get the `reason`, `ticket` and `reference` of a write. Later sources take precedence.
+   *
+   * @param sources - The options of the write, and the $locals of the document for document writes.
+   * @returns The reason of the write.
+   */
+  private getChangeReason(...sources: (object | null | undefined)[]): ChangeReason {
+    const changeReason: ChangeReason = {};
+    for (const source of sources) {
+      for (const key of ['reason', 'ticket', 'reference'] as const) {
+        const value = (source as ChangeReason | null | undefined)?.[key];
+        if (typeof value === 'string' && value) {
+          changeReason[key] = value;
+        }
       }
     }
+    return changeReason;
+  }
 
-    if (batch.length > 0) {
-      await processFn(batch, user);
+  /**
+   * Check that no update or soft delete changes a field with requireReason without a reason.
+   *
+   * @param logEntriesData - The log entry parameters of the write.
+   * @returns The error to reject the write with, or null if no reason is missing.
+   */
+  private getMissingReasonError(logEntriesData: (SaveLogHistoryParams | BatchLogEntryParams)[]): Error | null {
+    if (!this.reasonRequiredFields.length) {
+      return null;
     }
 
-    if (skipped > 0) {
-      this.logger.warn(
-        `[ChangeLogPlugin:${operationName}] Skipped logging for ${skipped} documents (limit: ${maxBatchLog}) in model: ${this.modelName}`
-      );
+    for (const params of logEntriesData) {
+      // Creates and hard deletes have no document on one side and never require a reason
+      if (!params.originalData || !params.updatedData || params.changeReason?.reason) {
+        continue;
+      }
+
+      const fields = getTrackedChanges(
+        params.originalData as Record<string, unknown>,
+        params.updatedData as Record<string, unknown>,
+        this.trackedFields
+      )
+        .map((log) => log.field_name)
+        .filter((fieldName) =>
+          this.reasonRequiredFields.some(
+            (path) => matchesWildcardPath(path, fieldName) || matchesWildcardPath(`${path}.**`, fieldName)
+          )
+        );
+
+      if (fields.length) {
+        return new Error(
+          `[mongoose-log-history] A reason is required to change ${[...new Set(fields)].join(', ')}. Model: ${this.modelName}. ID: ${params.modelId}.`
+        );
+      }
     }
+
+    return null;
   }
 
   /**
-   * Create the pre-update hook for handling query-based update operations.
-   * This hook intercepts updateOne, updateMany, and findOneAndUpdate operations.
+   * Check that an update does not write a field with requireReason without a reason, from the paths of
+   * the update alone. Used where the documents cannot be diffed before the write: updateMany and bulkWrite,
+   * whose documents are saved batch by batch, and updateMode 'fetch'.
    *
-   * @returns The pre-update hook function.
+   * @param update - The update, or null for a replacement, which writes every field.
+   * @param changeReason - The reason of the write.
+   * @returns The error to reject the write with, or null if no reason is missing.
    */
-  createPreUpdateHook() {
-    const self = this;
-
-    return async function preUpdateHook(this: Query<unknown, unknown>, next: () => void) {
-      let modelId: string | number | Types.ObjectId | undefined;
-
-      try {
-        const query = this;
-        const model = query.model;
-        const filter = query.getFilter();
-        const update = query.getUpdate() as Record<string, unknown>;
-        const options = query.getOptions() ?? {};
-        const context = (options as { context?: Record<string, unknown> }).context ?? {};
+  private getMissingUpdateReasonError(
+    update: Record<string, unknown> | Record<string, unknown>[] | null,
+    changeReason: ChangeReason
+  ): Error | null {
+    if (!this.reasonRequiredFields.length || changeReason.reason) {
+      return null;
+    }
 
-        const originalDoc = (await model.findOne(filter).select(self.selectTrackedFields).lean()) as Record<
-          string,
-          unknown
-        > | null;
+    const paths = update ? this.getUpdatePaths(update) : null;
+    const fields = this.reasonRequiredFields.filter(
+      (field) => !paths || paths.some((path) => updatePathTouches(field, path))
+    );
+    if (!fields.length) {
+      return null;
+    }
 
-        const updateFields = self.extractUpdateFields(update, originalDoc);
+    return new Error(
+      `[mongoose-log-history] A reason is required to change ${fields.join(', ')}. Model: ${this.modelName}.`
+    );
+  }
+
+  /**
+   * Collect the paths an update writes.
+   *
+   * @param update - The update object or aggregation pipeline.
+   * @returns The paths, or null if they cannot be known (pipeline stages other than $set, $addFields and $unset).
+   */
+  private getUpdatePaths(update: Record<string, unknown> | Record<string, unknown>[]): string[] | null {
+    if (Array.isArray(update)) {
+      const paths: string[] = [];
+      for (const stage of update) {
+        for (const [operator, value] of Object.entries(stage ?? {})) {
+          if ((operator === '$set' || operator === '$addFields') && isObject(value)) {
+            paths.push(...Object.keys(value));
+          } else if (operator === '$unset' && (typeof value === 'string' || Array.isArray(value))) {
+            paths.push(...([] as unknown[]).concat(value).map(String));
+          } else {
+            return null;
+          }
+        }
+      }
+      return paths;
+    }
+
+    const paths: string[] = [];
+    for (const [key, value] of Object.entries(update)) {
+      if (!key.startsWith('$')) {
+        paths.push(key);
+      } else if (isObject(value)) {
+        paths.push(...Object.keys(value));
+        // $rename also writes its targets
+        if (key === '$rename') {
+          paths.push(...Object.values(value).filter((to): to is string => typeof to === 'string'));
+        }
+      }
+    }
+    return paths;
+  }
+
+  /**
+   * Get the ClientSession a query or document write runs in, so that reading the original
+   * documents and saving the log entries join the same transaction as the write itself.
+   *
+   * @param target - The query or document being written.
+   * @returns The session, or null if the write does not run in one.
+   */
+  private getSession(target?: object): ClientSession | null {
+    if (target instanceof Query) {
+      return (target.getOptions() as { session?: ClientSession | null }).session ?? null;
+    }
+    if (target instanceof Document) {
+      return target.$session() ?? null;
+    }
+    return null;
+  }
+
+  /**
+   * Keep only the pending log entries whose change was actually applied by the write.
+   *
+   * @param histories - The pending log entries.
+   * @param res - The result passed to the post hook.
+   * @returns The log entries that describe applied changes.
+   */
+  private filterAppliedLogHistories(histories: LogHistoryRecord[], res: unknown): LogHistoryRecord[] {
+    if (res === null || res === undefined) {
+      // findOneAnd* operations resolve to null when nothing matched, but an upsert still inserted a document
+      return histories.filter((history) => history.change_type === 'create');
+    }
+
+    const result = res as { matchedCount?: unknown; upsertedCount?: unknown; deletedCount?: unknown };
+    if (typeof result.deletedCount === 'number') {
+      return result.deletedCount > 0 ? histories : [];
+    }
+    if (typeof result.matchedCount === 'number') {
+      const upsertedCount = typeof result.upsertedCount === 'number' ? result.upsertedCount : 0;
+      return result.matchedCount + upsertedCount > 0 ? histories : [];
+    }
+
+    return histories;
+  }
+
+  /**
+   * Get the updated document returned by a findOneAndUpdate/findOneAndReplace query,
+   * when the query was configured to return the document after the update.
+   * A projected result may miss tracked fields, so it is only used when the query has no projection.
+   *
+   * @param query - The executed query.
+   * @param res - The result passed to the post hook.
+   * @returns The updated document, or null if the result does not hold it.
+   */
+  private getReturnedDocument(query: Query<unknown, unknown>, res: unknown): Record<string, unknown> | null {
+    const options = query.getOptions() ?? {};
+    if ((options.new !== true && options.returnDocument !== 'after') || !res || typeof res !== 'object') {
+      return null;
+    }
+
+    const projection = query.projection() as Record<string, unknown> | null | undefined;
+    if (projection && Object.keys(projection).length > 0) {
+      return null;
+    }
+
+    const doc = (res instanceof Document ? res.toObject() : res) as Record<string, unknown>;
+    return doc._id !== undefined ? doc : null;
+  }
+
+  /**
+   * Read the actual state of the given documents after an update has been applied.
+   *
+   * @param query - The executed update query.
+   * @param originalDocs - The original documents captured before the update.
+   * @param res - The result passed to the post hook.
+   * @returns The updated documents, keyed by their stringified _id.
+   */
+  private async fetchUpdatedDocs(
+    query: Query<unknown, unknown>,
+    originalDocs: Record<string, unknown>[],
+    res: unknown
+  ): Promise<Map<string, Record<string, unknown>>> {
+    const updatedDocs = new Map<string, Record<string, unknown>>();
+
+    const returnedDoc = this.getReturnedDocument(query, res);
+    if (returnedDoc && originalDocs.length === 1 && String(returnedDoc._id) === String(originalDocs[0]._id)) {
+      updatedDocs.set(String(returnedDoc._id), returnedDoc);
+      return updatedDocs;
+    }
+
+    const docs = (await (query.model as Model<Document>)
+      .find({ _id: { $in: originalDocs.map((doc) => doc._id) } })
+      .select(this.selectTrackedFields)
+      .session(this.getSession(query))
+      .lean()) as Record<string, unknown>[];
+
+    for (const doc of docs) {
+      updatedDocs.set(String(doc._id), doc);
+    }
+
+    return updatedDocs;
+  }
+
+  /**
+   * Read the document inserted by an upsert.
+   *
+   * @param query - The executed update query.
+   * @param res - The result passed to the post hook.
+   * @returns The inserted document, or null if the update did not insert one.
+   */
+  private async fetchUpsertedDoc(
+    query: Query<unknown, unknown>,
+    res: unknown
+  ): Promise<Record<string, unknown> | null> {
+    const returnedDoc = this.getReturnedDocument(query, res);
+    if (returnedDoc) {
+      return returnedDoc;
+    }
+
+    const result = res as { upsertedId?: unknown; upsertedCount?: unknown } | null;
+    if (result?.upsertedCount === 0) {
+      return null;
+    }
+
+    return (await (query.model as Model<Document>)
+      .findOne(result?.upsertedId ? { _id: result.upsertedId } : query.getFilter())
+      .session(this.getSession(query))
+      .lean()) as Record<string, unknown> | null;
+  }
+
+  /**
+   * Process documents in batches for bulk operations, respecting maxBatchLog and batchSize limits.
+   * This method helps prevent memory issues and database overload during large operations.
+   * Documents can be streamed from a cursor, in which case only one batch is held in memory.
+   * Documents past maxBatchLog are handled according to onBatchOverflow.
+   *
+   * @param docs - The documents to process, as an array or a cursor.
+   * @param processFn - The function to process each batch.
+   * @param operationName - The operation name for logging purposes.
+   * @param user - User information for the operation.
+   * @param overflow - Details of the operation, used for documents past maxBatchLog.
+   */
+  private async batchLogHistory<T>(
+    docs: Iterable<T> | AsyncIterable<T>,
+    processFn: (batch: T[], user?: unknown) => Promise<void>,
+    operationName = 'batch',
+    user: unknown = null,
+    overflow: BatchOverflowContext = {}
+  ): Promise<void> {
+    const maxBatchLog = this.onBatchOverflow === 'all' ? Infinity : this.maxBatchLog;
+    let processed = 0;
+    let skipped = 0;
+    let batch: T[] = [];
+
+    for await (const doc of docs) {
+      if (processed >= maxBatchLog) {
+        skipped++;
+        continue;
+      }
+
+      batch.push(doc);
+      processed++;
+
+      if (batch.length >= this.batchSize) {
+        await processFn(batch, user);
+        batch = [];
+      }
+    }
+
+    if (batch.length > 0) {
+      await processFn(batch, user);
+    }
+
+    if (skipped > 0 && overflow.countMatched) {
+      skipped = (await overflow.countMatched()) - processed;
+    }
+
+    if (skipped <= 0) {
+      return;
+    }
+
+    if (this.onBatchOverflow === 'summary') {
+      await this.saveBatchOverflowSummary(operationName, skipped, overflow);
+    } else {
+      this.logger.warn(
+        `[ChangeLogPlugin:${operationName}] Skipped logging for ${skipped} documents (limit: ${maxBatchLog}) in model: ${this.modelName}`
+      );
+    }
+  }
+
+  /**
+   * Save a single entry recording the documents a bulk operation affected beyond maxBatchLog.
+   *
+   * @param operationName - The bulk operation.
+   * @param unloggedCount - The number of affected documents without their own log entry.
+   * @param overflow - Details of the operation.
+   */
+  private async saveBatchOverflowSummary(
+    operationName: string,
+    unloggedCount: number,
+    overflow: BatchOverflowContext
+  ): Promise<void> {
+    const entry: BatchOverflowEntry = {
+      model: this.modelName,
+      change_type: overflow.changeType ?? 'update',
+      logs: [],
+      created_by: this.extractUser({ context: overflow.context, userField: this.userField }),
+      context: this.mergeLogContext(undefined, overflow.context),
+      ...overflow.changeReason,
+      operation_id: overflow.operation?.id,
+      operation: overflow.operation?.kind,
+      correlation_id: this.getCorrelationId(overflow.context),
+      overflow: {
+        operation: operationName,
+        filter: overflow.filter ? (this.maskQuery(overflow.filter) as Record<string, unknown>) : undefined,
+        update: overflow.update ? this.maskQuery(overflow.update) : undefined,
+        unlogged_count: unloggedCount,
+      },
+      is_deleted: false,
+      created_at: new Date(),
+    };
+
+    await this.writeLogHistories([entry], overflow.target, overflow.session);
+  }
+
+  /**
+   * Copy a query filter or update, masking the values of masked fields.
+   * Operators ($set, $and, pipeline stages, ...) are unwrapped, so the fields inside them are masked by path.
+   *
+   * @param value - The filter or update.
+   * @returns The masked copy.
+   */
+  private maskQuery(value: unknown): unknown {
+    if (Array.isArray(value)) {
+      return value.map((item) => this.maskQuery(item));
+    }
+    if (!isObject(value) || value instanceof Types.ObjectId) {
+      return value;
+    }
+
+    const masked: Record<string, unknown> = {};
+    for (const [key, fieldValue] of Object.entries(value)) {
+      if (key.startsWith('$')) {
+        masked[key] = this.maskQuery(fieldValue);
+      } else {
+        Object.assign(masked, deepClone({ [key]: fieldValue }, this.maskedFields));
+      }
+    }
+    return masked;
+  }
+
+  /**
+   * Check the number of documents a bulk operation affects before it runs, when onBatchOverflow is 'reject'.
+   *
+   * @param operationName - The bulk operation.
+   * @param countAffected - Counts the affected documents. Counting up to maxBatchLog + 1 is enough.
+   * @returns The error aborting the operation, or null if the operation may run.
+   */
+  private async getBatchOverflowError(
+    operationName: string,
+    countAffected: () => Promise<number> | number
+  ): Promise<Error | null> {
+    if (this.onBatchOverflow !== 'reject' || (await countAffected()) <= this.maxBatchLog) {
+      return null;
+    }
+
+    return new Error(
+      `[mongoose-log-history] ${operationName} affects more than ${this.maxBatchLog} documents (maxBatchLog) and onBatchOverflow is 'reject'. Model: ${this.modelName}.`
+    );
+  }
+
+  /**
+   * Stream the documents matched by a multi-document write.
+   * The cursor stops one document past maxBatchLog, so overflow is detected without reading the whole result,
+   * unless onBatchOverflow is 'all'.
+   *
+   * @param model - The model the write is executed on.
+   * @param filter - The query filter.
+   * @param session - The session the write runs in, if any.
+   * @param select - The fields to read, defaults to the whole document.
+   * @returns A cursor over the matched documents.
+   */
+  private findAffectedDocs(
+    model: Model<Document>,
+    filter: Record<string, unknown>,
+    session: ClientSession | null,
+    select?: string
+  ): AsyncIterable<Record<string, unknown>> {
+    const query = model.find(filter).session(session);
+    if (this.onBatchOverflow !== 'all') {
+      query.limit(this.maxBatchLog + 1);
+    }
+    if (select) {
+      query.select(select);
+    }
+
+    return query.lean().cursor({ batchSize: this.batchSize }) as AsyncIterable<Record<string, unknown>>;
+  }
+
+  /**
+   * Get the projection of the original documents read for an update: the tracked fields, plus the
+   * sources of a $rename into a tracked field, since the simulated value of the target is read from them.
+   *
+   * @param update - The MongoDB update object or pipeline.
+   * @returns The projection.
+   */
+  private getOriginalDocSelect(update: unknown): string {
+    const rename = isObject(update) ? (update as Record<string, unknown>).$rename : undefined;
+    if (!this.selectTrackedFields || !isObject(rename)) {
+      return this.selectTrackedFields;
+    }
+
+    const selected = this.selectTrackedFields.split(' ');
+    const sources = Object.entries(rename as Record<string, unknown>)
+      .filter(
+        ([from, to]) =>
+          typeof to === 'string' &&
+          !selected.includes(from.split('.')[0]) &&
+          this.trackedFields.some((field) => updatePathTouches(field.value, to))
+      )
+      .map(([from]) => from);
+
+    return [...selected, ...sources].join(' ');
+  }
+
+  /**
+   * Simulate a MongoDB update against the original document.
+   * Dotted update paths are expanded into the nested structure, so the result is a real post-image.
+   *
+   * @param originalDoc - The original document state.
+   * @param update - The MongoDB update object with operators.
+   * @param simulation - The query details used to resolve positional operators and $currentDate.
+   * @returns The simulated updated document.
+   */
+  private simulateUpdate(
+    originalDoc: Record<string, unknown>,
+    update: Record<string, unknown> | null | undefined,
+    simulation: UpdateSimulationContext = {}
+  ): Record<string, unknown> {
+    return mergeByPath(originalDoc, this.extractUpdateFields(update, originalDoc, simulation));
+  }
+
+  /**
+   * Apply an update to the original documents, to get the documents as they will be stored after the write.
+   * Aggregation pipeline updates are evaluated by running the pipeline as an aggregation on the stored
+   * documents, so every stage and expression is resolved by MongoDB itself.
+   *
+   * @param model - The model the update is executed on.
+   * @param originalDocs - The original documents.
+   * @param update - The MongoDB update object or aggregation pipeline.
+   * @param session - The session the update runs in, if any.
+   * @param simulation - The query details used to resolve positional operators and $currentDate.
+   * @returns The updated documents, in the order of the original documents.
+   */
+  private async applyUpdate(
+    model: Model<Document>,
+    originalDocs: Record<string, unknown>[],
+    update: Record<string, unknown> | Record<string, unknown>[],
+    session: ClientSession | null,
+    simulation: UpdateSimulationContext = {}
+  ): Promise<Record<string, unknown>[]> {
+    if (!Array.isArray(update)) {
+      return originalDocs.map((originalDoc) => this.simulateUpdate(originalDoc, update, simulation));
+    }
+
+    // Stages like $replaceWith may drop _id from the aggregation result, so match them one document at a time
+    const keepsId = update.every((stage) => '$set' in stage || '$addFields' in stage);
+    const groups = keepsId ? [originalDocs] : originalDocs.map((doc) => [doc]);
+    const updatedDocs = new Map<string, Record<string, unknown>>();
+
+    for (const group of groups) {
+      if (!group.length) {
+        continue;
+      }
+
+      const docs = (await model
+        .aggregate([{ $match: { _id: { $in: group.map((doc) => doc._id) } } }, ...update] as unknown as PipelineStage[])
+        .session(session)) as Record<string, unknown>[];
+
+      if (keepsId) {
+        for (const doc of docs) {
+          updatedDocs.set(String(doc._id), doc);
+        }
+      } else if (docs[0]) {
+        updatedDocs.set(String(group[0]._id), { ...docs[0], _id: group[0]._id });
+      }
+    }
+
+    return originalDocs.map((originalDoc) => updatedDocs.get(String(originalDoc._id)) ?? originalDoc);
+  }
+
+  /**
+   * Apply an aggregation pipeline update to documents written by earlier operations of a bulkWrite, which are not
+   * stored yet. The pipeline runs on the documents as the earlier operations left them, with the fields they do not
+   * hold (the fields outside the tracked fields) read from the stored document.
+   *
+   * @param model - The model the update is executed on.
+   * @param docs - The documents as the earlier operations left them.
+   * @param pipeline - The aggregation pipeline.
+   * @param session - The session the update runs in, if any.
+   * @returns The updated documents, in the order of the documents.
+   */
+  private async applyPipelineToWritten(
+    model: Model<Document>,
+    docs: Record<string, unknown>[],
+    pipeline: Record<string, unknown>[],
+    session: ClientSession | null
+  ): Promise<Record<string, unknown>[]> {
+    if (!docs.length) {
+      return [];
+    }
+
+    // Update pipeline stages never add or remove documents, so the results keep the order of the documents
+    const results = (await model.db
+      .aggregate([
+        { $documents: docs },
+        {
+          $lookup: {
+            from: model.collection.collectionName,
+            localField: '_id',
+            foreignField: '_id',
+            as: '__logHistoryStored',
+          },
+        },
+        { $replaceWith: { $mergeObjects: [{ $arrayElemAt: ['$__logHistoryStored', 0] }, '$$ROOT'] } },
+        { $unset: '__logHistoryStored' },
+        ...pipeline,
+      ] as unknown as PipelineStage[])
+      .session(session)) as Record<string, unknown>[];
+
+    return docs.map((doc, index) => ({ ...(results[index] ?? doc), _id: doc._id }));
+  }
+
+  /**
+   * Get the document an upsert will insert when no document matches the filter.
+   * Aggregation pipeline updates are evaluated against the equality fields of the filter,
+   * the same way MongoDB builds the inserted document.
+   *
+   * @param model - The model the update is executed on.
+   * @param filter - The query filter.
+   * @param update - The MongoDB update object or aggregation pipeline.
+   * @param session - The session the update runs in, if any.
+   * @param simulation - The query details used to resolve $currentDate.
+   * @returns The document to be inserted.
+   */
+  private async applyUpsert(
+    model: Model<Document>,
+    filter: Record<string, unknown>,
+    update: Record<string, unknown> | Record<string, unknown>[],
+    session: ClientSession | null,
+    simulation: UpdateSimulationContext = {}
+  ): Promise<Record<string, unknown>> {
+    if (!Array.isArray(update)) {
+      return mergeByPath({}, this.extractUpdateFields(update, null, simulation));
+    }
+
+    const seed: Record<string, unknown> = {};
+    for (const [key, value] of Object.entries(filter)) {
+      if (!key.startsWith('$') && !(isObject(value) && Object.keys(value).some((k) => k.startsWith('$')))) {
+        setByPath(seed, key, value);
+      }
+    }
+
+    const [doc] = (await model.db
+      .aggregate([{ $documents: [seed] }, ...update] as unknown as PipelineStage[])
+      .session(session)) as Record<string, unknown>[];
+
+    return doc ?? seed;
+  }
+
+  /**
+   * Get the document a replaceOne/findOneAndReplace will store. Unlike an update, the replacement is not
+   * merged into the original document: every field missing from it is removed. The replacement is cast by
+   * the model, the same way Mongoose casts it before the write, and keeps the _id of the replaced document.
+   *
+   * @param model - The model the replacement is executed on.
+   * @param originalDoc - The replaced document, or null when an upsert inserts the replacement.
+   * @param replacement - The replacement document.
+   * @param filter - The query filter, used for the _id of an upserted replacement.
+   * @returns The document as it will be stored.
+   */
+  private applyReplacement(
+    model: Model<Document>,
+    originalDoc: Record<string, unknown> | null,
+    replacement: Record<string, unknown>,
+    filter: Record<string, unknown>
+  ): Record<string, unknown> {
+    const { _id: replacementId, ...fields } = new model(replacement, null, true).toObject<Record<string, unknown>>();
+
+    let id = originalDoc ? originalDoc._id : replacementId;
+    if (id === undefined && !(isObject(filter._id) && Object.keys(filter._id).some((k) => k.startsWith('$')))) {
+      id = filter._id;
+    }
+
+    return id === undefined ? fields : { _id: id, ...fields };
+  }
+
+  /**
+   * Build the batch log entry parameters for a single document affected by an update,
+   * detecting soft deletes between the original and the updated document.
+   *
+   * @param originalDoc - The original document state.
+   * @param updatedData - The updated document state.
+   * @param filter - The query filter, used as a fallback for the model ID.
+   * @param context - The query context, used for user extraction.
+   * @param changeReason - The reason of the query.
+   * @param operation - The operation the entry belongs to.
+   * @returns The log entry parameters for the document.
+   */
+  private buildUpdateLogEntryParams(
+    originalDoc: Record<string, unknown>,
+    updatedData: Record<string, unknown>,
+    filter: Record<string, unknown>,
+    context: Record<string, unknown>,
+    changeReason: ChangeReason,
+    operation: LogOperation
+  ): BatchLogEntryParams {
+    let isSoftDelete = false;
+    if (this.softDelete) {
+      const wasDeleted = this.softDelete(originalDoc);
+      const willBeDeleted = this.softDelete(updatedData);
+      if (!wasDeleted && willBeDeleted) {
+        isSoftDelete = true;
+      }
+    }
+
+    const modelId = (getValueByPath(updatedData, this.modelKeyId) || getValueByPath(filter, this.modelKeyId)) as
+      | string
+      | number
+      | Types.ObjectId;
+    const user = this.extractUser({ doc: updatedData, context, userField: this.userField });
+
+    return {
+      modelId: modelId!,
+      originalData: originalDoc,
+      updatedData,
+      changeType: isSoftDelete ? 'delete' : 'update',
+      user,
+      context,
+      changeReason,
+      operation,
+    };
+  }
+
+  /**
+   * Get the filter, update and options of a bulkWrite operation other than insertOne.
+   *
+   * @param op - The bulkWrite operation.
+   * @returns The operation in the shape of its single-operation counterpart, or null for insertOne.
+   */
+  private getBulkWriteQueryOperation(op: AnyBulkWriteOperation): BulkWriteQueryOperation | null {
+    if ('updateOne' in op || 'updateMany' in op) {
+      const multi = 'updateMany' in op;
+      const { filter, update, upsert, arrayFilters } = multi ? op.updateMany : op.updateOne;
+      return {
+        filter: filter as Record<string, unknown>,
+        update: update as Record<string, unknown> | Record<string, unknown>[],
+        replace: false,
+        multi,
+        upsert,
+        arrayFilters: arrayFilters as Record<string, unknown>[] | undefined,
+      };
+    }
+    if ('replaceOne' in op) {
+      return {
+        filter: op.replaceOne.filter as Record<string, unknown>,
+        update: op.replaceOne.replacement as Record<string, unknown>,
+        replace: true,
+        multi: false,
+        upsert: op.replaceOne.upsert,
+      };
+    }
+    if ('deleteOne' in op || 'deleteMany' in op) {
+      const multi = 'deleteMany' in op;
+      return {
+        filter: (multi ? op.deleteMany.filter : op.deleteOne.filter) as Record<string, unknown>,
+        replace: false,
+        multi,
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Get the fields read for the documents a bulkWrite operation affects, the same as its single-operation counterpart.
+   *
+   * @param queryOp - The bulkWrite operation.
+   * @returns The select string, empty to read the whole document.
+   */
+  private getBulkWriteSelect(queryOp: BulkWriteQueryOperation): string {
+    if (!queryOp.update) {
+      return '';
+    }
+    return queryOp.replace ? this.selectTrackedFields : this.getOriginalDocSelect(queryOp.update);
+  }
+
+  /**
+   * Read the documents matching the filter of a bulkWrite operation, as stored before the bulkWrite.
+   * Multi-document operations are streamed through findAffectedDocs. A single-document operation on an _id
+   * is read together with the _id of the single-document operations among the next batchSize operations.
+   *
+   * @param state - The bulkWrite state.
+   * @param queryOp - The bulkWrite operation.
+   * @returns The stored documents matching the filter.
+   */
+  private async readBulkWriteDocs(
+    state: BulkWriteLogState,
+    queryOp: BulkWriteQueryOperation
+  ): Promise<Iterable<Record<string, unknown>> | AsyncIterable<Record<string, unknown>>> {
+    const { model, session, written, lookups } = state;
+    const select = this.getBulkWriteSelect(queryOp);
+
+    if (queryOp.multi) {
+      return this.findAffectedDocs(model, queryOp.filter, session, select);
+    }
+
+    const id = getIdFilterValue(queryOp.filter);
+    if (id === undefined) {
+      // One more document than the earlier operations wrote, so one is left if they moved the others out of the filter
+      const query = model
+        .find(queryOp.filter)
+        .limit(written.size + 1)
+        .session(session);
+      if (select) {
+        query.select(select);
+      }
+      return (await query.lean()) as Record<string, unknown>[];
+    }
+
+    const key = `${select}:${String(id)}`;
+    if (written.has(String(id))) {
+      // The document as the earlier operations left it is all that matters
+      lookups.delete(key);
+      return [];
+    }
+
+    if (!lookups.has(key)) {
+      const ids = new Map<string, unknown>([[key, id]]);
+      for (let index = state.index + 1; index < state.ops.length && index <= state.index + this.batchSize; index++) {
+        const next = this.getBulkWriteQueryOperation(state.ops[index]);
+        const nextId = next && !next.multi ? getIdFilterValue(next.filter) : undefined;
+        if (nextId !== undefined && this.getBulkWriteSelect(next!) === select && !written.has(String(nextId))) {
+          ids.set(`${select}:${String(nextId)}`, nextId);
+        }
+      }
+
+      const query = model.find({ _id: { $in: [...ids.values()] } }).session(session);
+      if (select) {
+        query.select(select);
+      }
+      for (const lookupKey of ids.keys()) {
+        lookups.set(lookupKey, null);
+      }
+      for (const doc of (await query.lean()) as Record<string, unknown>[]) {
+        lookups.set(`${select}:${String(doc._id)}`, doc);
+      }
+    }
+
+    const doc = lookups.get(key);
+    lookups.delete(key);
+    return doc ? [doc] : [];
+  }
+
+  /**
+   * Bring the documents read for a bulkWrite operation up to date with the earlier operations of the
+   * same bulkWrite, which have not been applied yet when the documents are read.
+   *
+   * @param docs - The documents matching the filter in the database.
+   * @param filter - The filter of the operation.
+   * @param written - The documents written by the earlier operations by _id, null if deleted.
+   * @param single - Whether the operation affects at most one document.
+   * @returns The documents the operation affects.
+   */
+  private async *getBulkWriteTargets(
+    docs: Iterable<Record<string, unknown>> | AsyncIterable<Record<string, unknown>>,
+    filter: Record<string, unknown>,
+    written: Map<string, Record<string, unknown> | null>,
+    single: boolean
+  ): AsyncGenerator<Record<string, unknown>> {
+    const read = new Set<string>();
+
+    for await (const doc of docs) {
+      const id = String(doc._id);
+      read.add(id);
+      const current = written.has(id) ? written.get(id) : doc;
+      // A filter that cannot be evaluated here keeps the documents it matched in the database
+      if (current && (current === doc || matchesFilter(current, filter) !== false)) {
+        yield current;
+        if (single) {
+          return;
+        }
+      }
+    }
+
+    for (const [id, current] of written) {
+      if (current && !read.has(id) && matchesFilter(current, filter)) {
+        yield current;
+        if (single) {
+          return;
+        }
+      }
+    }
+  }
+
+  /**
+   * Build the log entry parameters of the documents updated or replaced by a bulkWrite operation,
+   * and record their updated state for the later operations.
+   *
+   * @param state - The bulkWrite state.
+   * @param queryOp - The bulkWrite operation.
+   * @param originalDocs - The documents the operation affects, at most batchSize of them.
+   * @returns The log entry parameters of the documents.
+   */
+  private async getBulkWriteUpdateEntries(
+    state: BulkWriteLogState,
+    queryOp: BulkWriteQueryOperation,
+    originalDocs: Record<string, unknown>[]
+  ): Promise<BatchLogEntryParams[]> {
+    const { model, context, changeReason, operation, session, now, written } = state;
+    const { filter, arrayFilters } = queryOp;
+    const update = queryOp.update!;
+
+    let updatedDocs: Record<string, unknown>[];
+    if (queryOp.replace) {
+      updatedDocs = originalDocs.map((doc) =>
+        this.applyReplacement(model, doc, update as Record<string, unknown>, filter)
+      );
+    } else if (Array.isArray(update)) {
+      // A pipeline runs on the stored documents, so the ones written by the earlier operations are passed in
+      const stored = originalDocs.filter((doc) => !written.has(String(doc._id)));
+      const current = originalDocs.filter((doc) => written.has(String(doc._id)));
+      const updated = new Map<string, Record<string, unknown>>();
+      (await this.applyUpdate(model, stored, update, session)).forEach((doc, index) =>
+        updated.set(String(stored[index]._id), doc)
+      );
+      (await this.applyPipelineToWritten(model, current, update, session)).forEach((doc, index) =>
+        updated.set(String(current[index]._id), doc)
+      );
+      updatedDocs = originalDocs.map((doc) => updated.get(String(doc._id))!);
+    } else {
+      updatedDocs = await this.applyUpdate(model, originalDocs, update, session, { filter, arrayFilters, now });
+    }
+
+    return originalDocs.map((originalDoc, index) => {
+      written.set(String(originalDoc._id), updatedDocs[index]);
+      return this.buildUpdateLogEntryParams(originalDoc, updatedDocs[index], filter, context, changeReason, operation);
+    });
+  }
+
+  /**
+   * Build the log entry parameters for a single bulkWrite operation.
+   * Each operation is resolved against the current database state, as changed by the earlier
+   * operations of the bulkWrite, the same way the matching single-operation hook would resolve it.
+   *
+   * @param state - The bulkWrite state. The documents written by the operation are recorded in it.
+   * @param op - The bulkWrite operation.
+   * @returns The log entry parameters for every document affected by the operation.
+   */
+  private async *getBulkWriteOperationEntries(
+    state: BulkWriteLogState,
+    op: AnyBulkWriteOperation
+  ): AsyncGenerator<BatchLogEntryParams> {
+    const { model, context, changeReason, operation, session, now, written } = state;
+
+    if ('insertOne' in op) {
+      let doc = op.insertOne.document as Record<string, unknown>;
+      if (!doc._id) {
+        // The operation gets a copy with the _id, so the caller's document is left untouched.
+        // Mongoose replaces the document of the operation with the cast one the same way.
+        doc = { ...doc, _id: new mongoose.Types.ObjectId() };
+        op.insertOne.document = doc as typeof op.insertOne.document;
+      }
+      written.set(String(doc._id), doc);
+
+      yield {
+        modelId: getValueByPath(doc, this.modelKeyId) as string | number | Types.ObjectId,
+        changeType: 'create',
+        updatedData: doc,
+        user: this.extractUser({ doc, context, userField: this.userField }),
+        context,
+        changeReason,
+        operation,
+      };
+      return;
+    }
+
+    const queryOp = this.getBulkWriteQueryOperation(op);
+    if (!queryOp) {
+      return;
+    }
+
+    const { filter, update, upsert } = queryOp;
+    const targets = this.getBulkWriteTargets(
+      await this.readBulkWriteDocs(state, queryOp),
+      filter,
+      written,
+      !queryOp.multi
+    );
+
+    if (!update) {
+      for await (const doc of targets) {
+        written.set(String(doc._id), null);
+        yield {
+          modelId: getValueByPath(doc, this.modelKeyId) as string | number | Types.ObjectId,
+          originalData: doc,
+          changeType: 'delete',
+          user: this.extractUser({ doc, context, userField: this.userField }),
+          context,
+          changeReason,
+          operation,
+        };
+      }
+      return;
+    }
+
+    let matched = false;
+    let batch: Record<string, unknown>[] = [];
+    for await (const originalDoc of targets) {
+      matched = true;
+      batch.push(originalDoc);
+      if (batch.length >= this.batchSize) {
+        yield* await this.getBulkWriteUpdateEntries(state, queryOp, batch);
+        batch = [];
+      }
+    }
+    if (batch.length) {
+      yield* await this.getBulkWriteUpdateEntries(state, queryOp, batch);
+    }
+
+    if (!matched && upsert) {
+      const updatedData = queryOp.replace
+        ? this.applyReplacement(model, null, update as Record<string, unknown>, filter)
+        : await this.applyUpsert(model, filter, update, session, { now });
+      const modelId = (getValueByPath(updatedData, this.modelKeyId) || getValueByPath(filter, this.modelKeyId)) as
+        | string
+        | number
+        | Types.ObjectId;
+
+      if (updatedData._id !== undefined) {
+        written.set(String(updatedData._id), updatedData);
+      }
+      yield {
+        modelId: modelId!,
+        changeType: 'create',
+        updatedData,
+        user: this.extractUser({ doc: updatedData, context, userField: this.userField }),
+        context,
+        changeReason,
+        operation,
+      };
+    }
+  }
+
+  /**
+   * Build the log entry parameters of every operation of a bulkWrite, in order.
+   * Unless onBatchOverflow is 'all', it stops one entry past maxBatchLog, leaving the operation it stopped at
+   * in the state, so the documents past the limit are never diffed nor held in memory.
+   *
+   * @param state - The bulkWrite state.
+   * @returns The log entry parameters.
+   */
+  private async *getBulkWriteEntries(state: BulkWriteLogState): AsyncGenerator<BatchLogEntryParams> {
+    const maxBatchLog = this.onBatchOverflow === 'all' ? Infinity : this.maxBatchLog;
+    let count = 0;
+
+    for (state.index = 0; state.index < state.ops.length; state.index++) {
+      state.logged = 0;
+      for await (const params of this.getBulkWriteOperationEntries(state, state.ops[state.index])) {
+        yield params;
+        if (++count > maxBatchLog) {
+          return;
+        }
+        state.logged++;
+      }
+    }
+  }
+
+  /**
+   * Count the documents affected by the operations of a bulkWrite from the one its entries stopped at.
+   * The operations past maxBatchLog are not resolved, so they are counted against the database as it was before
+   * the bulkWrite.
+   *
+   * @param state - The bulkWrite state.
+   * @returns The documents logged within maxBatchLog plus the documents affected from then on.
+   */
+  private async countBulkWriteDocs(state: BulkWriteLogState): Promise<number> {
+    const { model, ops, session } = state;
+    let count = this.maxBatchLog;
+
+    for (let index = state.index; index < ops.length; index++) {
+      const queryOp = this.getBulkWriteQueryOperation(ops[index]);
+      let affected = 'insertOne' in ops[index] ? 1 : 0;
+      if (queryOp) {
+        const query = model.countDocuments(queryOp.filter).session(session);
+        if (!queryOp.multi) {
+          query.limit(1);
+        }
+        affected = (await query.exec()) || (queryOp.upsert ? 1 : 0);
+      }
+      // The operation the entries stopped at has at least the entry past maxBatchLog left
+      count += index === state.index ? Math.max(affected - state.logged, 1) : affected;
+    }
+
+    return count;
+  }
+
+  /**
+   * Create the pre-update hook for handling query-based update operations.
+   * This hook intercepts updateOne, updateMany, and findOneAndUpdate operations.
+   * With `replace`, it intercepts replaceOne and findOneAndReplace, whose update is a replacement document.
+   *
+   * @param replace - Whether the hook handles replacement operations.
+   * @returns The pre-update hook function.
+   */
+  createPreUpdateHook(replace = false) {
+    const self = this;
+
+    return async function preUpdateHook(this: Query<unknown, unknown>, next: (err?: Error) => void) {
+      let modelId: string | number | Types.ObjectId | undefined;
+      let reasonError: Error | null = null;
+
+      try {
+        const query = this;
+        const model = query.model as Model<Document>;
+        const filter = query.getFilter();
+        const update = query.getUpdate() as Record<string, unknown> | Record<string, unknown>[];
+        const options = query.getOptions() ?? {};
+        const context = (options as { context?: Record<string, unknown> }).context ?? {};
+        const changeReason = self.getChangeReason(options);
+        const operation = self.createLogOperation(query);
+        const session = self.getSession(query);
+
+        if (self.shouldSkipLogging(options)) {
+          return;
+        }
+
+        const originalDoc = (await model
+          .findOne(filter)
+          .select(replace ? self.selectTrackedFields : self.getOriginalDocSelect(update))
+          .session(session)
+          .lean()) as Record<string, unknown> | null;
+
+        if (self.updateMode === 'fetch') {
+          // The update is only diffed once applied, so a missing reason is checked from its paths
+          if (originalDoc) {
+            reasonError = self.getMissingUpdateReasonError(replace ? null : update, changeReason);
+            if (reasonError) {
+              return;
+            }
+          }
+          self.pendingUpdates.set(query, originalDoc ? [originalDoc] : []);
+          return;
+        }
+
+        if (!originalDoc && !(options as { upsert?: boolean }).upsert) {
+          return;
+        }
+
+        const simulation = {
+          filter,
+          arrayFilters: (options as { arrayFilters?: Record<string, unknown>[] }).arrayFilters,
+          now: new Date(),
+        };
+        let updatedData: Record<string, unknown>;
+        if (replace) {
+          updatedData = self.applyReplacement(model, originalDoc, update as Record<string, unknown>, filter);
+        } else if (originalDoc) {
+          updatedData = (await self.applyUpdate(model, [originalDoc], update, session, simulation))[0];
+        } else {
+          updatedData = await self.applyUpsert(model, filter, update, session, simulation);
+        }
 
         let isSoftDelete = false;
-        if (self.softDelete && updateFields && originalDoc) {
+        if (self.softDelete && originalDoc) {
           const wasDeleted = self.softDelete(originalDoc);
-          const willBeDeleted = self.softDelete({ ...originalDoc, ...updateFields });
+          const willBeDeleted = self.softDelete(updatedData);
           if (!wasDeleted && willBeDeleted) {
             isSoftDelete = true;
           }
         }
 
-        const updatedData = originalDoc ? { ...originalDoc, ...updateFields } : updateFields;
-
         modelId = getValueByPath(updatedData, self.modelKeyId) as string | number | Types.ObjectId;
         if (!modelId) {
           modelId = getValueByPath(filter, self.modelKeyId) as string | number | Types.ObjectId;
@@ -733,34 +2342,60 @@ export class ChangeLogPlugin implements LogHistoryPlugin {
         });
 
         if (!originalDoc && (options as { upsert?: boolean }).upsert) {
-          await self.saveLogHistory({
-            modelId: modelId!,
-            changeType: 'create',
-            user,
-            updatedData,
-          });
-          return next();
+          await self.saveLogHistory(
+            {
+              modelId: modelId!,
+              changeType: 'create',
+              user,
+              context,
+              changeReason,
+              operation,
+              updatedData,
+            },
+            query
+          );
+          return;
         }
 
         if (isSoftDelete && originalDoc) {
-          await self.saveLogHistory({
+          const params: SaveLogHistoryParams = {
             modelId: modelId!,
             originalData: originalDoc,
             updatedData,
             changeType: 'delete',
             user,
-          });
-          return next();
+            context,
+            changeReason,
+            operation,
+          };
+
+          reasonError = self.getMissingReasonError([params]);
+          if (reasonError) {
+            return;
+          }
+
+          await self.saveLogHistory(params, query);
+          return;
         }
 
         if (originalDoc) {
-          await self.saveLogHistory({
+          const params: SaveLogHistoryParams = {
             modelId: modelId!,
             originalData: originalDoc,
             updatedData,
             changeType: 'update',
             user,
-          });
+            context,
+            changeReason,
+            operation,
+          };
+
+          reasonError = self.getMissingReasonError([params]);
+          if (reasonError) {
+            return;
+          }
+
+          await self.saveLogHistory(params, query);
         }
       } catch (err) {
         self.logger.error(
@@ -768,7 +2403,7 @@ export class ChangeLogPlugin implements LogHistoryPlugin {
           `[pluginLogHistory: preUpdateHook] Failed to write log history. Model: ${self.modelName}. ID: ${modelId}.`
         );
       } finally {
-        next();
+        next(reasonError ?? undefined);
       }
     };
   }
@@ -782,35 +2417,55 @@ export class ChangeLogPlugin implements LogHistoryPlugin {
   createPreSaveHook() {
     const self = this;
 
-    return async function preSaveHook(this: Document, next: () => void) {
+    return async function preSaveHook(
+      this: Document,
+      next: (err?: Error) => void,
+      options?: { context?: Record<string, unknown>; logHistory?: boolean } & ChangeReason
+    ) {
       let modelId: string | number | Types.ObjectId | undefined;
+      let reasonError: Error | null = null;
 
       try {
         const doc = this;
         const isNew = doc.isNew;
 
+        if (self.shouldSkipLogging(doc.$locals) || self.shouldSkipLogging(options)) {
+          return;
+        }
+
+        const context = self.getDocumentLogContext(doc, options);
+        const changeReason = self.getChangeReason(options, doc.$locals);
+        const operation = self.createLogOperation('save');
         const user = self.extractUser({
           doc: doc.toObject(),
+          context,
           userField: self.userField,
         });
 
         modelId = getValueByPath(doc.toObject(), self.modelKeyId) as string | number | Types.ObjectId;
 
         if (isNew) {
-          await self.saveLogHistory({
-            modelId: modelId!,
-            changeType: 'create',
-            user,
-            updatedData: doc.toObject(),
-          });
+          await self.saveLogHistory(
+            {
+              modelId: modelId!,
+              changeType: 'create',
+              user,
+              context,
+              changeReason,
+              operation,
+              updatedData: doc.toObject(),
+            },
+            doc
+          );
         } else {
           const originalDoc = (await (doc.constructor as Model<Document>)
             .findById(doc._id)
             .select(self.selectTrackedFields)
+            .session(doc.$session())
             .lean()) as Record<string, unknown> | null;
 
           if (!originalDoc) {
-            return next();
+            return;
           }
 
           let isSoftDelete = false;
@@ -823,14 +2478,23 @@ export class ChangeLogPlugin implements LogHistoryPlugin {
           }
 
           const changeType: ChangeType = isSoftDelete ? 'delete' : 'update';
-
-          await self.saveLogHistory({
+          const params: SaveLogHistoryParams = {
             modelId: modelId!,
             originalData: originalDoc,
             updatedData: doc.toObject(),
             changeType,
             user,
-          });
+            context,
+            changeReason,
+            operation,
+          };
+
+          reasonError = self.getMissingReasonError([params]);
+          if (reasonError) {
+            return;
+          }
+
+          await self.saveLogHistory(params, doc);
         }
       } catch (err) {
         self.logger.error(
@@ -838,7 +2502,7 @@ export class ChangeLogPlugin implements LogHistoryPlugin {
           `[pluginLogHistory: preSaveHook] Failed to write log history. Model: ${self.modelName}. ID: ${modelId}.`
         );
       } finally {
-        next();
+        next(reasonError ?? undefined);
       }
     };
   }
@@ -852,10 +2516,32 @@ export class ChangeLogPlugin implements LogHistoryPlugin {
   createPreInsertManyHook() {
     const self = this;
 
-    return async function preInsertManyHook(this: Model<Document>, next: () => void, docs: Document[]) {
+    return async function preInsertManyHook(
+      this: Model<Document>,
+      next: (err?: Error) => void,
+      docs: Document[],
+      options?: {
+        session?: ClientSession | null;
+        logHistory?: boolean;
+        context?: Record<string, unknown>;
+      } & ChangeReason
+    ) {
+      let overflowError: Error | null = null;
+
       try {
+        if (self.shouldSkipLogging(options)) {
+          return;
+        }
+
+        const loggedDocs = docs.filter((doc) => doc.$locals?.logHistory !== false);
+        const operation = self.createLogOperation('insertMany');
+        overflowError = await self.getBatchOverflowError('insertMany', () => loggedDocs.length);
+        if (overflowError) {
+          return;
+        }
+
         await self.batchLogHistory(
-          docs,
+          loggedDocs,
           async (batch: Document[]) => {
             const logEntryParams: BatchLogEntryParams[] = [];
 
@@ -868,8 +2554,10 @@ export class ChangeLogPlugin implements LogHistoryPlugin {
                 | string
                 | number
                 | Types.ObjectId;
+              const context = self.getDocumentLogContext(doc, options);
               const userData = self.extractUser({
                 doc: doc.toObject ? doc.toObject() : doc,
+                context,
                 userField: self.userField,
               });
 
@@ -878,12 +2566,23 @@ export class ChangeLogPlugin implements LogHistoryPlugin {
                 changeType: 'create',
                 updatedData: doc.toObject ? doc.toObject() : doc,
                 user: userData,
+                context,
+                changeReason: self.getChangeReason(options, doc.$locals),
+                operation,
               });
             }
 
-            await self.saveLogHistoryBatch(logEntryParams);
+            await self.saveLogHistoryBatch(logEntryParams, undefined, options?.session);
           },
-          'insertMany'
+          'insertMany',
+          null,
+          {
+            changeType: 'create',
+            context: options?.context,
+            changeReason: self.getChangeReason(options),
+            operation,
+            session: options?.session,
+          }
         );
       } catch (err) {
         self.logger.error(
@@ -891,7 +2590,7 @@ export class ChangeLogPlugin implements LogHistoryPlugin {
           `[pluginLogHistory: preInsertManyHook] Failed to write log history. Model: ${self.modelName}.`
         );
       } finally {
-        next();
+        next(overflowError ?? undefined);
       }
     };
   }
@@ -899,21 +2598,52 @@ export class ChangeLogPlugin implements LogHistoryPlugin {
   /**
    * Create the pre-delete hook for handling delete operations.
    * This hook intercepts deleteOne, deleteMany, and findOneAndDelete operations.
+   * With `single`, only the document the operation deletes is logged: the first one matched by the filter,
+   * in the order of the query's `sort` option (findOneAndDelete). It is never rejected by `onBatchOverflow: 'reject'`.
    *
+   * @param single - Whether the hook handles single-document delete operations.
    * @returns The pre-delete hook function.
    */
-  createPreDeleteHook() {
+  createPreDeleteHook(single = false) {
     const self = this;
 
-    return async function preDeleteHook(this: Query<unknown, unknown>, next: () => void) {
+    return async function preDeleteHook(this: Query<unknown, unknown>, next: (err?: Error) => void) {
+      let overflowError: Error | null = null;
+
       try {
         const query = this;
-        const model = query.model;
+        const model = query.model as Model<Document>;
         const filter = query.getFilter();
         const options = query.getOptions() ?? {};
         const context = (options as { context?: Record<string, unknown> }).context ?? {};
+        const changeReason = self.getChangeReason(options);
+        const operation = self.createLogOperation(query);
+        const session = self.getSession(query);
+
+        if (self.shouldSkipLogging(options)) {
+          return;
+        }
+
+        overflowError = single
+          ? null
+          : await self.getBatchOverflowError('deleteMany', () =>
+              model
+                .countDocuments(filter)
+                .limit(self.maxBatchLog + 1)
+                .session(session)
+                .exec()
+            );
+        if (overflowError) {
+          return;
+        }
 
-        const docs = (await model.find(filter).lean()) as Record<string, unknown>[];
+        const sort = (options as { sort?: Record<string, SortOrder> }).sort;
+        const docs = single
+          ? ([await model.findOne(filter).sort(sort).session(session).lean()].filter(Boolean) as Record<
+              string,
+              unknown
+            >[])
+          : self.findAffectedDocs(model, filter, session);
 
         await self.batchLogHistory(
           docs,
@@ -933,12 +2663,26 @@ export class ChangeLogPlugin implements LogHistoryPlugin {
                 originalData: doc,
                 changeType: 'delete',
                 user: userData,
+                context,
+                changeReason,
+                operation,
               });
             }
 
-            await self.saveLogHistoryBatch(logEntryParamsArray);
+            await self.saveLogHistoryBatch(logEntryParamsArray, query);
           },
-          'deleteMany'
+          'deleteMany',
+          null,
+          {
+            countMatched: () => model.countDocuments(filter).session(session).exec(),
+            changeType: 'delete',
+            filter,
+            context,
+            changeReason,
+            operation,
+            target: query,
+            session,
+          }
         );
       } catch (err) {
         self.logger.error(
@@ -946,7 +2690,7 @@ export class ChangeLogPlugin implements LogHistoryPlugin {
           `[pluginLogHistory: preDeleteHook] Failed to write log history. Model: ${self.modelName}.`
         );
       } finally {
-        next();
+        next(overflowError ?? undefined);
       }
     };
   }
@@ -957,61 +2701,337 @@ export class ChangeLogPlugin implements LogHistoryPlugin {
    */
   createPreUpdateManyHook() {
     const self = this;
-    return async function preUpdateManyHook(this: Query<unknown, unknown>, next: () => void) {
+    return async function preUpdateManyHook(this: Query<unknown, unknown>, next: (err?: Error) => void) {
+      let overflowError: Error | null = null;
+      let reasonError: Error | null = null;
+
       try {
         const query = this;
         const model = query.model as Model<Document>;
         const filter = query.getFilter();
-        const update = query.getUpdate() as Record<string, unknown>;
+        const update = query.getUpdate() as Record<string, unknown> | Record<string, unknown>[];
+        const options = query.getOptions() ?? {};
+        const context = (options as { context?: Record<string, unknown> }).context ?? {};
+        const changeReason = self.getChangeReason(options);
+        const operation = self.createLogOperation(query);
+        const session = self.getSession(query);
+
+        if (self.shouldSkipLogging(options)) {
+          return;
+        }
+
+        // Documents are saved batch by batch and past maxBatchLog not diffed at all, so a missing reason
+        // is checked from the paths of the update before anything is written
+        reasonError = self.getMissingUpdateReasonError(update, changeReason);
+        if (reasonError) {
+          return;
+        }
+
+        overflowError = await self.getBatchOverflowError('updateMany', () =>
+          model
+            .countDocuments(filter)
+            .limit(self.maxBatchLog + 1)
+            .session(session)
+            .exec()
+        );
+        if (overflowError) {
+          return;
+        }
+
+        const originalDocs = self.findAffectedDocs(model, filter, session, self.getOriginalDocSelect(update));
+        const overflow: BatchOverflowContext = {
+          countMatched: () => model.countDocuments(filter).session(session).exec(),
+          changeType: 'update',
+          filter,
+          update,
+          context,
+          changeReason,
+          operation,
+          target: query,
+          session,
+        };
+
+        if (self.updateMode === 'fetch') {
+          // The original documents are held until the post hook. onBatchOverflow 'all' is refused in fetch mode,
+          // so at most maxBatchLog of them are kept
+          const pending: Record<string, unknown>[] = [];
+          await self.batchLogHistory(
+            originalDocs,
+            async (batch: Record<string, unknown>[]) => {
+              pending.push(...batch);
+            },
+            'updateMany',
+            null,
+            overflow
+          );
+          self.pendingUpdates.set(query, pending);
+          return;
+        }
+
+        const simulation = {
+          filter,
+          arrayFilters: (options as { arrayFilters?: Record<string, unknown>[] }).arrayFilters,
+          now: new Date(),
+        };
+
+        await self.batchLogHistory(
+          originalDocs,
+          async (batch: Record<string, unknown>[]) => {
+            const originalBatch = batch.filter(Boolean);
+            const updatedDocs = await self.applyUpdate(model, originalBatch, update, session, simulation);
+            const logEntryParams: BatchLogEntryParams[] = originalBatch.map((originalDoc, index) =>
+              self.buildUpdateLogEntryParams(originalDoc, updatedDocs[index], filter, context, changeReason, operation)
+            );
+
+            await self.saveLogHistoryBatch(logEntryParams, query);
+          },
+          'updateMany',
+          null,
+          overflow
+        );
+      } catch (err) {
+        (self.logger || console).error(
+          err as Error,
+          `[pluginLogHistory: preUpdateManyHook] Failed to write log history. Model: ${self.modelName}.`
+        );
+      } finally {
+        next(overflowError ?? reasonError ?? undefined);
+      }
+    };
+  }
+
+  /**
+   * Create the pre-bulkWrite hook for handling Model.bulkWrite operations.
+   * Each insertOne, updateOne, updateMany, replaceOne, deleteOne and deleteMany
+   * operation is broken down and logged like its single-operation counterpart.
+   *
+   * @returns The pre-bulkWrite hook function.
+   */
+  createPreBulkWriteHook() {
+    const self = this;
+
+    return async function preBulkWriteHook(
+      this: Model<Document>,
+      next: (err?: Error) => void,
+      ops: AnyBulkWriteOperation[],
+      options?: MongooseBulkWriteOptions & { context?: Record<string, unknown>; logHistory?: boolean } & ChangeReason
+    ) {
+      let overflowError: Error | null = null;
+      let reasonError: Error | null = null;
+
+      try {
+        if (self.shouldSkipLogging(options)) {
+          return;
+        }
+
+        const context = options?.context ?? {};
+        const changeReason = self.getChangeReason(options);
+        const session = options?.session ?? null;
+
+        // Documents are saved batch by batch and past maxBatchLog not diffed at all, so a missing reason
+        // is checked from the paths of the updates before anything is written
+        for (const op of ops ?? []) {
+          const queryOp = self.getBulkWriteQueryOperation(op);
+          if (queryOp?.update) {
+            reasonError = self.getMissingUpdateReasonError(queryOp.replace ? null : queryOp.update, changeReason);
+            if (reasonError) {
+              return;
+            }
+          }
+        }
+
+        const state: BulkWriteLogState = {
+          model: this,
+          ops: ops ?? [],
+          context,
+          changeReason,
+          operation: self.createLogOperation('bulkWrite'),
+          session,
+          now: new Date(),
+          written: new Map(),
+          lookups: new Map(),
+          index: 0,
+          logged: 0,
+        };
+
+        let logEntryParams: AsyncIterable<BatchLogEntryParams> | BatchLogEntryParams[] =
+          self.getBulkWriteEntries(state);
+        if (self.onBatchOverflow === 'reject') {
+          // The entries stop one past maxBatchLog, so at most that many are held until the bulkWrite is known to fit
+          const entries: BatchLogEntryParams[] = [];
+          for await (const params of logEntryParams) {
+            entries.push(params);
+          }
+          overflowError = await self.getBatchOverflowError('bulkWrite', () => entries.length);
+          if (overflowError) {
+            return;
+          }
+          logEntryParams = entries;
+        }
+
+        await self.batchLogHistory(
+          logEntryParams,
+          async (batch: BatchLogEntryParams[]) => {
+            await self.saveLogHistoryBatch(batch, undefined, session);
+          },
+          'bulkWrite',
+          null,
+          {
+            countMatched: () => self.countBulkWriteDocs(state),
+            context,
+            changeReason,
+            operation: state.operation,
+            session,
+          }
+        );
+      } catch (err) {
+        self.logger.error(
+          err as Error,
+          `[pluginLogHistory: preBulkWriteHook] Failed to write log history. Model: ${self.modelName}.`
+        );
+      } finally {
+        next(overflowError ?? reasonError ?? undefined);
+      }
+    };
+  }
+
+  /**
+   * Create the post-update hook used when updateMode is 'fetch'.
+   * Reads the actual updated documents once the update has been applied and diffs them
+   * against the original documents captured by the pre-update hooks.
+   *
+   * @returns The post-update hook function.
+   */
+  createPostUpdateHook() {
+    const self = this;
+
+    return async function postUpdateHook(this: Query<unknown, unknown>, res: unknown) {
+      const originalDocs = self.pendingUpdates.get(this);
+      if (!originalDocs) {
+        return;
+      }
+      self.pendingUpdates.delete(this);
+
+      try {
+        const query = this;
+        const filter = query.getFilter();
         const options = query.getOptions() ?? {};
         const context = (options as { context?: Record<string, unknown> }).context ?? {};
+        const changeReason = self.getChangeReason(options);
+        const operation = self.createLogOperation(query);
+        const session = self.getSession(query);
+
+        if (!originalDocs.length) {
+          if (!options.upsert) {
+            return;
+          }
 
-        const originalDocs = (await model.find(filter).select(self.selectTrackedFields).lean()) as Record<
-          string,
-          unknown
-        >[];
+          const updatedData = await self.fetchUpsertedDoc(query, res);
+          if (updatedData) {
+            const modelId = getValueByPath(updatedData, self.modelKeyId) as string | number | Types.ObjectId;
+            const user = self.extractUser({ doc: updatedData, context, userField: self.userField });
+            await self.saveLogHistoryBatch(
+              [{ modelId, changeType: 'create', updatedData, user, context, changeReason, operation }],
+              undefined,
+              session
+            );
+          }
+          return;
+        }
 
         await self.batchLogHistory(
           originalDocs,
           async (batch: Record<string, unknown>[]) => {
+            const updatedDocs = await self.fetchUpdatedDocs(query, batch, res);
             const logEntryParams: BatchLogEntryParams[] = [];
             for (const originalDoc of batch) {
-              if (!originalDoc) {
-                continue;
+              const updatedDoc = updatedDocs.get(String(originalDoc._id));
+              if (updatedDoc) {
+                logEntryParams.push(
+                  self.buildUpdateLogEntryParams(originalDoc, updatedDoc, filter, context, changeReason, operation)
+                );
               }
-              const updateFields = self.extractUpdateFields(update, originalDoc);
-              let isSoftDelete = false;
-              if (self.softDelete && updateFields) {
-                const wasDeleted = self.softDelete(originalDoc);
-                const willBeDeleted = self.softDelete({ ...originalDoc, ...updateFields });
-                if (!wasDeleted && willBeDeleted) {
-                  isSoftDelete = true;
-                }
-              }
-              const updatedData = { ...originalDoc, ...updateFields } as Record<string, unknown>;
-              const modelId = (getValueByPath(updatedData, self.modelKeyId) ||
-                getValueByPath(filter, self.modelKeyId)) as string | number | Types.ObjectId;
-              const user = self.extractUser({ doc: updatedData, context, userField: self.userField });
-              logEntryParams.push({
-                modelId: modelId!,
-                originalData: originalDoc,
-                updatedData,
-                changeType: isSoftDelete ? 'delete' : 'update',
-                user,
-              });
             }
 
-            await self.saveLogHistoryBatch(logEntryParams);
+            await self.saveLogHistoryBatch(logEntryParams, undefined, session);
           },
-          'updateMany'
+          'postUpdate'
         );
       } catch (err) {
-        (self.logger || console).error(
+        self.logger.error(
           err as Error,
-          `[pluginLogHistory: preUpdateManyHook] Failed to write log history. Model: ${self.modelName}.`
+          `[pluginLogHistory: postUpdateHook] Failed to write log history. Model: ${self.modelName}.`
+        );
+      }
+    };
+  }
+
+  /**
+   * Create the post-write hook used when logAfterWrite is enabled.
+   * Saves the log entries computed by the matching pre hook once the write has succeeded,
+   * dropping them when the write did not match any document.
+   *
+   * @returns The post-write hook function.
+   */
+  createPostWriteHook() {
+    const self = this;
+
+    return async function postWriteHook(this: Query<unknown, unknown> | Document, res: unknown) {
+      const histories = self.pendingLogHistories.get(this);
+      if (!histories) {
+        return;
+      }
+      self.pendingLogHistories.delete(this);
+
+      const appliedHistories = self.filterAppliedLogHistories(histories, res);
+      if (!appliedHistories.length) {
+        return;
+      }
+
+      try {
+        await self.logHistorySaver(self, appliedHistories, { session: self.getSession(this) });
+      } catch (err) {
+        self.logger.error(
+          err as Error,
+          `[pluginLogHistory: postWriteHook] Failed to write log history. Model: ${self.modelName}.`
+        );
+      }
+    };
+  }
+
+  /**
+   * Create the post-write error hook used when logAfterWrite is enabled.
+   * Discards the log entries of a failed write, or saves them marked as failed when logFailedWrites is enabled.
+   * The original error is always passed on to the caller.
+   *
+   * @returns The post-write error hook function.
+   */
+  createPostWriteErrorHook() {
+    const self = this;
+
+    return async function postWriteErrorHook(this: Query<unknown, unknown> | Document) {
+      const histories = self.pendingLogHistories.get(this);
+      if (!histories) {
+        return;
+      }
+      self.pendingLogHistories.delete(this);
+
+      if (!self.logFailedWrites) {
+        return;
+      }
+
+      try {
+        // Saved outside the write's session: a failed write aborts its transaction,
+        // which would roll these entries back as well.
+        await self.logHistorySaver(
+          self,
+          histories.map((history) => ({ ...history, is_failed: true }))
+        );
+      } catch (err) {
+        self.logger.error(
+          err as Error,
+          `[pluginLogHistory: postWriteErrorHook] Failed to write log history. Model: ${self.modelName}.`
         );
-      } finally {
-        next();
       }
     };
   }
@@ -1029,22 +3049,18 @@ export function changeLoggingPlugin(schema: mongoose.Schema, options: PluginOpti
     throw new Error('Plugin option "modelName" is required');
   }
 
-  const pluginInstance = new ChangeLogPlugin({ ...options, modelName: options.modelName });
+  const pluginInstance = new ChangeLogPlugin({ ...options, modelName: options.modelName }, schema);
 
   if (options.logHistorySaver === undefined) {
-    (schema.statics as Record<string, unknown>).getHistoriesById = async function (
-      modelId: string | number | Types.ObjectId,
+    const findHistories = async (
+      query: Record<string, unknown>,
       fields?: unknown,
       findOptions?: unknown
-    ): Promise<LogHistoryEntry[]> {
+    ): Promise<LogHistoryRecord[]> => {
       const historyModel: LogHistoryModel = pluginInstance.getLogHistoryModelPlugin();
-      const query: Record<string, unknown> = {
-        model_id: isValidObjectId(modelId) ? new Types.ObjectId(modelId) : modelId,
-        is_deleted: false,
-      };
       if (pluginInstance.singleCollection) query.model = pluginInstance.modelName;
 
-      const logs = (await historyModel.find(query, fields as any, findOptions as any).lean()) as LogHistoryEntry[];
+      const logs = (await historyModel.find(query, fields as any, findOptions as any).lean()) as LogHistoryRecord[];
 
       if (pluginInstance.compressDocs) {
         for (const log of logs) {
@@ -1058,29 +3074,90 @@ export function changeLoggingPlugin(schema: mongoose.Schema, options: PluginOpti
       }
       return logs;
     };
+
+    (schema.statics as Record<string, unknown>).getHistoriesById = async function (
+      modelId: string | number | Types.ObjectId,
+      fields?: unknown,
+      findOptions?: unknown
+    ): Promise<LogHistoryEntry[]> {
+      // Batch overflow summaries have no model_id, so only entries of the document match
+      return (await findHistories(
+        {
+          model_id: isValidObjectId(modelId) ? new Types.ObjectId(modelId) : modelId,
+          is_deleted: false,
+        },
+        fields,
+        findOptions
+      )) as LogHistoryEntry[];
+    };
+
+    (schema.statics as Record<string, unknown>).getHistoriesByOperation = async function (
+      operationId: string | Types.ObjectId,
+      fields?: unknown,
+      findOptions?: unknown
+    ): Promise<LogHistoryRecord[]> {
+      return findHistories(
+        {
+          operation_id: isValidObjectId(operationId) ? new Types.ObjectId(operationId) : operationId,
+          is_deleted: false,
+        },
+        fields,
+        findOptions
+      );
+    };
   }
 
   const preUpdateHook = pluginInstance.createPreUpdateHook();
+  const preReplaceHook = pluginInstance.createPreUpdateHook(true);
   const preUpdateManyHook = pluginInstance.createPreUpdateManyHook();
   const preSaveHook = pluginInstance.createPreSaveHook();
   const preInsertManyHook = pluginInstance.createPreInsertManyHook();
   const preDeleteHook = pluginInstance.createPreDeleteHook();
+  const preDeleteOneHook = pluginInstance.createPreDeleteHook(true);
+  const preBulkWriteHook = pluginInstance.createPreBulkWriteHook();
 
   schema.pre('updateOne', preUpdateHook);
   schema.pre('findOneAndUpdate', preUpdateHook);
-  schema.pre('findOneAndReplace', preUpdateHook);
-  schema.pre('replaceOne', preUpdateHook);
+  schema.pre('findOneAndReplace', preReplaceHook);
+  schema.pre('replaceOne', preReplaceHook);
 
   (schema.pre as unknown as any)('update', preUpdateHook);
   schema.pre('updateMany', preUpdateManyHook);
 
   schema.pre('save', preSaveHook);
   schema.pre('insertMany', preInsertManyHook);
+  schema.pre('bulkWrite', preBulkWriteHook);
 
-  schema.pre('findOneAndDelete', preDeleteHook);
-  (schema.pre as unknown as any)('findByIdAndDelete', preDeleteHook);
-  schema.pre('deleteOne', preDeleteHook);
+  schema.pre('findOneAndDelete', preDeleteOneHook);
+  (schema.pre as unknown as any)('findByIdAndDelete', preDeleteOneHook);
+  schema.pre('deleteOne', preDeleteOneHook);
   schema.pre('deleteMany', preDeleteHook);
   (schema.pre as unknown as any)('remove', preDeleteHook);
   (schema.pre as unknown as any)('delete', preDeleteHook);
+
+  const post = schema.post.bind(schema) as unknown as (...args: unknown[]) => void;
+
+  if (pluginInstance.updateMode === 'fetch') {
+    const postUpdateHook = pluginInstance.createPostUpdateHook();
+    post(['updateOne', 'updateMany', 'findOneAndUpdate', 'findOneAndReplace', 'replaceOne'], postUpdateHook);
+  }
+
+  if (pluginInstance.logAfterWrite) {
+    const postWriteHook = pluginInstance.createPostWriteHook();
+    const postWriteErrorHook = pluginInstance.createPostWriteErrorHook();
+    const writeOperations = [
+      'save',
+      'updateOne',
+      'updateMany',
+      'findOneAndUpdate',
+      'findOneAndReplace',
+      'replaceOne',
+      'deleteOne',
+      'deleteMany',
+      'findOneAndDelete',
+    ];
+
+    post(writeOperations, postWriteHook);
+    post(writeOperations, { errorHandler: true }, postWriteErrorHook);
+  }
 }
@@ -1,7 +1,12 @@
-import { LogHistoryEntry, LogHistoryPlugin } from './types';
+import { LogHistoryRecord, LogHistoryPlugin, LogHistorySaverOptions } from './types';
 
-export async function saveLogHistories(plugin: LogHistoryPlugin, histories: LogHistoryEntry[]): Promise<void> {
+export async function saveLogHistories(
+  plugin: LogHistoryPlugin,
+  histories: LogHistoryRecord[],
+  options: LogHistorySaverOptions = {}
+): Promise<void> {
   const LogHistory = plugin.getLogHistoryModelPlugin();
+  const session = options.session ?? undefined;
 
   if (histories.length > 1) {
     const bulkOperations = histories.map((logEntry) => {
@@ -12,8 +17,8 @@ export async function saveLogHistories(plugin: LogHistoryPlugin, histories: LogH
       };
     });
 
-    await LogHistory.bulkWrite(bulkOperations, { ordered: false });
+    await LogHistory.bulkWrite(bulkOperations, { ordered: false, session });
   } else {
-    await LogHistory.create(histories[0]);
+    await LogHistory.create([histories[0]], { session });
   }
 }
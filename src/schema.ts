@@ -1,5 +1,5 @@
 import mongoose, { Schema } from 'mongoose';
-import { LogHistoryDocument, LogHistoryModel } from './types';
+import { BatchOverflowDocument, LogHistoryDocument, LogHistoryModel } from './types';
 
 /**
  * Schema for individual field change logs within a log history entry.
@@ -24,7 +24,7 @@ const logSchema = new Schema({
   /** The type of change that occurred */
   change_type: {
     type: String,
-    enum: ['add', 'edit', 'remove'],
+    enum: ['add', 'edit', 'remove', 'reorder'],
     default: 'edit',
   },
 
@@ -46,10 +46,12 @@ const logHistorySchema = new Schema<LogHistoryDocument>(
       required: true,
     },
 
-    /** The ID of the document that was changed. Can be string, number or ObjectId */
+    /** The ID of the document that was changed. Can be string, number or ObjectId. Not set on batch overflow summaries */
     model_id: {
       type: Schema.Types.Mixed,
-      required: true,
+      required(this: LogHistoryDocument | BatchOverflowDocument) {
+        return !this.overflow;
+      },
     },
 
     /** The type of change operation */
@@ -76,6 +78,36 @@ const logHistorySchema = new Schema<LogHistoryDocument>(
       type: Schema.Types.Mixed,
     },
 
+    /** Why the change was made */
+    reason: {
+      type: String,
+    },
+
+    /** The ticket the change was made for */
+    ticket: {
+      type: String,
+    },
+
+    /** Any other external reference for the change, e.g. an approval or a support case */
+    reference: {
+      type: String,
+    },
+
+    /** Shared by every entry written by the same operation */
+    operation_id: {
+      type: Schema.Types.ObjectId,
+    },
+
+    /** The kind of operation that made the change (updateMany, findOneAndUpdate, save, ...) */
+    operation: {
+      type: String,
+    },
+
+    /** The external correlation ID of the operation */
+    correlation_id: {
+      type: String,
+    },
+
     /** Complete original document snapshot (if saveWholeDoc is enabled) */
     original_doc: {
       type: Schema.Types.Mixed,
@@ -91,6 +123,16 @@ const logHistorySchema = new Schema<LogHistoryDocument>(
       type: Boolean,
       default: false,
     },
+
+    /** Whether the write this entry describes failed (only set when logFailedWrites is enabled) */
+    is_failed: {
+      type: Boolean,
+    },
+
+    /** The documents a bulk operation affected beyond maxBatchLog (only set on batch overflow summaries) */
+    overflow: {
+      type: Schema.Types.Mixed,
+    },
   },
   {
     timestamps: {
@@ -114,6 +156,11 @@ logHistorySchema.index({
   created_at: -1,
 });
 
+/**
+ * Index for finding every log entry written by a single operation.
+ */
+logHistorySchema.index({ operation_id: 1 }, { sparse: true });
+
 /**
  * Get or create the log history Mongoose model for a given model name.
  *
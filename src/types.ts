@@ -1,4 +1,4 @@
-import { Document, Model, Types } from 'mongoose';
+import { AnyBulkWriteOperation, ClientSession, Document, Model, Types } from 'mongoose';
 
 /**
  * Supported change types for logging operations.
@@ -6,15 +6,44 @@ import { Document, Model, Types } from 'mongoose';
 export type ChangeType = 'create' | 'update' | 'delete';
 
 /**
- * Supported field-level change types.
+ * Supported field-level change types. `reorder` is only logged for simple arrays with `trackOrder`.
  */
-export type FieldChangeType = 'add' | 'edit' | 'remove';
+export type FieldChangeType = 'add' | 'edit' | 'remove' | 'reorder';
 
 /**
  * Supported array handling types for tracked fields.
  */
 export type ArrayType = 'simple' | 'custom-key';
 
+/**
+ * Identifies the items of a 'custom-key' array: a field path, several field paths that together
+ * form a composite key (e.g. `['warehouse', 'sku']`), or a function returning the key of an item.
+ */
+export type ArrayKey = string | string[] | ((item: Record<string, unknown>) => unknown);
+
+/**
+ * How object values of a tracked field are compared.
+ * - `shallow`: the whole object is logged as one value.
+ * - `deep`: plain objects are compared key by key, with one log per leaf that changed.
+ */
+export type DiffMode = 'shallow' | 'deep';
+
+/**
+ * Supported strategies for determining the updated document in update hooks.
+ * - 'simulate': apply the update operators to the original document in JavaScript
+ * - 'fetch': read the actual updated document after the write
+ */
+export type UpdateMode = 'simulate' | 'fetch';
+
+/**
+ * Supported strategies when a bulk operation affects more documents than maxBatchLog.
+ * - 'skip': log the first maxBatchLog documents and skip the rest
+ * - 'summary': log the first maxBatchLog documents and a single summary entry for the rest
+ * - 'all': log every document, ignoring maxBatchLog
+ * - 'reject': abort the operation with an error
+ */
+export type BatchOverflowMode = 'skip' | 'summary' | 'all' | 'reject';
+
 /**
  * Logger interface that the plugin expects.
  * Must support error and warn methods like console.
@@ -24,6 +53,32 @@ export interface Logger {
   warn(message: string): void;
 }
 
+/**
+ * Request-scoped context set with runWithLogContext.
+ */
+export interface LogContext {
+  /** The acting user, stored as `created_by` */
+  user?: unknown;
+
+  /** Any other metadata (requestId, ip, ...), merged into the entry's `context` */
+  [key: string]: unknown;
+}
+
+/**
+ * Why a change was made, set with the `reason`, `ticket` and `reference` options
+ * of a write or on a document's `$locals`.
+ */
+export interface ChangeReason {
+  /** Free-text reason for the change */
+  reason?: string;
+
+  /** The ticket the change was made for */
+  ticket?: string;
+
+  /** Any other external reference for the change, e.g. an approval or a support case */
+  reference?: string;
+}
+
 /**
  * Soft delete configuration for detecting delete operations.
  */
@@ -53,7 +108,7 @@ export type ContextFields =
  * Configuration for a single tracked field.
  */
 export interface TrackedField {
-  /** The field path using dot notation (e.g., 'status', 'user.name', 'items.0.qty') */
+  /** The field path using dot notation (e.g., 'status', 'user.name', 'items.0.qty'), or a wildcard pattern ('settings.*', 'prices.*.amount', 'meta.**') */
   value: string;
 
   /** Array handling type - only needed for array fields */
@@ -61,9 +116,10 @@ export interface TrackedField {
 
   /**
    * Key field for identifying objects in arrays when using 'custom-key' arrayType.
-   * This field should uniquely identify each object in the array.
+   * This field should uniquely identify each object in the array. Use an array of fields for a composite key,
+   * or a function returning the key. Items without a key are matched by their index instead.
    */
-  arrayKey?: string;
+  arrayKey?: ArrayKey;
 
   /**
    * The field to track within array objects when using 'custom-key' arrayType.
@@ -77,9 +133,27 @@ export interface TrackedField {
    */
   mask?: Mask;
 
+  /**
+   * When true, a 'simple' array whose items only changed position logs a 'reorder' change.
+   * Default is false, which ignores the order of the items.
+   */
+  trackOrder?: boolean;
+
+  /**
+   * How object values are compared. With 'deep', changing `address.city` logs `address.city`
+   * instead of the whole `address` object. Default is 'shallow'.
+   */
+  diffMode?: DiffMode;
+
   /** Additional context fields to include in logs for this specific field */
   contextFields?: ContextFields;
 
+  /**
+   * When true, updates that change this field are rejected unless a `reason` is supplied.
+   * Applies to nested trackedFields as well.
+   */
+  requireReason?: boolean;
+
   /**
    * Additional nested fields to track within array objects when using 'custom-key'.
    * Used for tracking multiple fields within complex array objects.
@@ -87,6 +161,19 @@ export interface TrackedField {
   trackedFields?: TrackedField[];
 }
 
+/**
+ * The `logHistory` option of a schema path: `true` to track the path, or the tracked field configuration
+ * without `value`. `false` leaves the path out, even if it is inside a subdocument with tracked paths.
+ */
+export type SchemaPathLogHistory = boolean | Omit<TrackedField, 'value'>;
+
+declare module 'mongoose' {
+  interface SchemaTypeOptions<T, EnforcedDocType, THydratedDocumentType> {
+    /** Track this path in the log history (see changeLoggingPlugin) */
+    logHistory?: SchemaPathLogHistory;
+  }
+}
+
 /**
  * Main plugin configuration options.
  */
@@ -106,8 +193,22 @@ export interface PluginOptions {
   /**
    * Array of field configurations to track for changes.
    * Each field can have different tracking behavior (simple, array, custom-key).
+   * Use 'all' to derive them from the schema paths instead (see trackAll).
    */
-  trackedFields?: TrackedField[];
+  trackedFields?: TrackedField[] | 'all';
+
+  /**
+   * Whether to track every schema path, except `_id`, the version key, timestamps and excludeFields.
+   * Primitive arrays are tracked as 'simple' arrays, and document arrays as 'custom-key' arrays on `_id`.
+   * Entries of trackedFields override the derived configuration of the same path.
+   * Defaults to false.
+   */
+  trackAll?: boolean;
+
+  /**
+   * Field paths left out when tracking every schema path. Nested paths are excluded with their parent.
+   */
+  excludeFields?: string[];
 
   /**
    * Global context fields to include in all log entries.
@@ -173,6 +274,47 @@ export interface PluginOptions {
    * Custom log history saver implementation.  If not provided, uses the default saver that writes to MongoDB.
    */
   logHistorySaver?: LogHistorySaver;
+
+  /**
+   * Whether to defer saving log entries until the write has succeeded.
+   * Changes are still computed in the pre hook, but entries are only saved from the
+   * matching post hook, so failed writes and updates that match no documents leave no history.
+   * Applies to save() and query-based update and delete operations.
+   * Defaults to false.
+   */
+  logAfterWrite?: boolean;
+
+  /**
+   * When logAfterWrite is enabled, save the entries of failed writes with `is_failed: true`
+   * instead of discarding them.
+   * Defaults to false.
+   */
+  logFailedWrites?: boolean;
+
+  /**
+   * Store the fields of the operation context (the `context` option, or `$locals.logContext`)
+   * in the entry's context, besides the user and the correlation ID.
+   * The operation context may hold data that should not be stored, so this is off by default.
+   * Defaults to false.
+   */
+  saveOperationContext?: boolean;
+
+  /**
+   * How update hooks determine the updated document.
+   * 'simulate' applies the update operators to the original document in JavaScript.
+   * 'fetch' reads the actual updated document after the write, so type casting, defaults,
+   * setters and timestamps are reflected exactly, at the cost of an extra read per update.
+   * Defaults to 'simulate'.
+   */
+  updateMode?: UpdateMode;
+
+  /**
+   * What to do when a bulk operation (updateMany, deleteMany, insertMany, bulkWrite)
+   * affects more documents than maxBatchLog.
+   * 'all' cannot be combined with updateMode 'fetch' or logAfterWrite.
+   * Defaults to 'skip'.
+   */
+  onBatchOverflow?: BatchOverflowMode;
 }
 
 /**
@@ -195,6 +337,24 @@ export interface FieldLog {
   context?: Record<string, unknown>;
 }
 
+/**
+ * Record of the documents a bulk operation affected beyond maxBatchLog,
+ * stored when onBatchOverflow is 'summary'.
+ */
+export interface BatchOverflowSummary {
+  /** The bulk operation, e.g. 'updateMany' or 'deleteMany' */
+  operation: string;
+
+  /** The query filter of the operation (masked like document snapshots) */
+  filter?: Record<string, unknown>;
+
+  /** The update of the operation (masked like document snapshots) */
+  update?: unknown;
+
+  /** The number of affected documents that have no log entry of their own */
+  unlogged_count: number;
+}
+
 /**
  * Complete log history entry stored in the database.
  */
@@ -217,6 +377,24 @@ export interface LogHistoryEntry {
   /** Global context information for this change */
   context?: Record<string, unknown>;
 
+  /** Why the change was made */
+  reason?: string;
+
+  /** The ticket the change was made for */
+  ticket?: string;
+
+  /** Any other external reference for the change, e.g. an approval or a support case */
+  reference?: string;
+
+  /** Shared by every entry written by the same operation */
+  operation_id?: Types.ObjectId;
+
+  /** The kind of operation that made the change (updateMany, findOneAndUpdate, save, ...) */
+  operation?: string;
+
+  /** The external correlation ID of the operation, taken from its `correlationId` context */
+  correlation_id?: string;
+
   /** Complete original document snapshot (if saveWholeDoc is enabled) */
   original_doc?: unknown;
 
@@ -226,10 +404,32 @@ export interface LogHistoryEntry {
   /** Whether this log entry represents a deleted document */
   is_deleted: boolean;
 
+  /** Whether the write this entry describes failed (only set when logFailedWrites is enabled) */
+  is_failed?: boolean;
+
+  /** Only set on batch overflow summaries (see BatchOverflowEntry) */
+  overflow?: undefined;
+
   /** Timestamp when the log entry was created */
   created_at: Date;
 }
 
+/**
+ * Log history entry recording the documents a bulk operation affected beyond maxBatchLog,
+ * saved when onBatchOverflow is 'summary'. It is not about a single document, so it has no `model_id`.
+ */
+export interface BatchOverflowEntry extends Omit<LogHistoryEntry, 'model_id' | 'overflow'> {
+  model_id?: undefined;
+
+  /** The documents the bulk operation affected beyond maxBatchLog */
+  overflow: BatchOverflowSummary;
+}
+
+/**
+ * Any entry stored in a log history collection. Check `overflow` to tell batch overflow summaries apart.
+ */
+export type LogHistoryRecord = LogHistoryEntry | BatchOverflowEntry;
+
 /**
  * Mongoose document interface for log history entries.
  */
@@ -252,6 +452,24 @@ export interface LogHistoryDocument extends Omit<Document, 'model'> {
   /** Global context information for this change */
   context?: Record<string, unknown>;
 
+  /** Why the change was made */
+  reason?: string;
+
+  /** The ticket the change was made for */
+  ticket?: string;
+
+  /** Any other external reference for the change, e.g. an approval or a support case */
+  reference?: string;
+
+  /** Shared by every entry written by the same operation */
+  operation_id?: Types.ObjectId;
+
+  /** The kind of operation that made the change (updateMany, findOneAndUpdate, save, ...) */
+  operation?: string;
+
+  /** The external correlation ID of the operation, taken from its `correlationId` context */
+  correlation_id?: string;
+
   /** Complete original document snapshot (if saveWholeDoc is enabled) */
   original_doc?: unknown;
 
@@ -261,14 +479,32 @@ export interface LogHistoryDocument extends Omit<Document, 'model'> {
   /** Whether this log entry represents a deleted document */
   is_deleted: boolean;
 
+  /** Whether the write this entry describes failed (only set when logFailedWrites is enabled) */
+  is_failed?: boolean;
+
+  /** Only set on batch overflow summaries (see BatchOverflowEntry) */
+  overflow?: undefined;
+
   /** Timestamp when the log entry was created */
   created_at: Date;
 }
 
+/**
+ * Mongoose document interface for batch overflow summaries.
+ */
+export interface BatchOverflowDocument
+  extends Omit<LogHistoryDocument, 'model_id' | 'overflow'>,
+    Omit<BatchOverflowEntry, keyof LogHistoryDocument> {
+  model_id?: undefined;
+
+  /** The documents the bulk operation affected beyond maxBatchLog */
+  overflow: BatchOverflowSummary;
+}
+
 /**
  * Mongoose model interface for log history collections.
  */
-export interface LogHistoryModel extends Model<LogHistoryDocument> {}
+export interface LogHistoryModel extends Model<LogHistoryDocument | BatchOverflowDocument> {}
 
 /**
  * A mask can be a static string or a function that accepts the original value and returns a masked string.
@@ -292,6 +528,12 @@ export interface BuildLogEntryParams {
   original_doc?: unknown;
   updated_doc?: unknown;
   context?: Record<string, unknown>;
+  reason?: string;
+  ticket?: string;
+  reference?: string;
+  operation_id?: Types.ObjectId;
+  operation?: string;
+  correlation_id?: string;
   saveWholeDoc?: boolean;
   compressDocs?: boolean;
   maskedFields?: MaskedFields;
@@ -306,6 +548,12 @@ export interface SaveLogHistoryParams {
   updatedData?: Record<string, unknown>;
   changeType?: ChangeType;
   user?: unknown;
+  /** The context of the operation (the `context` option or `$locals.logContext`) */
+  context?: Record<string, unknown>;
+  /** The reason, ticket and reference of the operation */
+  changeReason?: ChangeReason;
+  /** The operation the entry belongs to */
+  operation?: LogOperation;
 }
 
 /**
@@ -317,6 +565,12 @@ export interface BatchLogEntryParams {
   updatedData?: Record<string, unknown>;
   changeType: ChangeType;
   user?: unknown;
+  /** The context of the operation (the `context` option or `$locals.logContext`) */
+  context?: Record<string, unknown>;
+  /** The reason, ticket and reference of the operation */
+  changeReason?: ChangeReason;
+  /** The operation the entry belongs to */
+  operation?: LogOperation;
 }
 
 /**
@@ -328,6 +582,98 @@ export interface ExtractUserParams {
   userField: string;
 }
 
+/**
+ * A single hook invocation, shared by every log entry it writes.
+ */
+export interface LogOperation {
+  /** The ID stored as `operation_id` */
+  id: Types.ObjectId;
+  /** The kind of operation stored as `operation` */
+  kind: string;
+}
+
+/**
+ * Details of a bulk operation, used to handle the documents it affects beyond maxBatchLog.
+ */
+export interface BatchOverflowContext {
+  /** Counts every matched document, when the documents are read from a cursor limited to maxBatchLog */
+  countMatched?: () => Promise<number>;
+  /** The change type of the overflow summary entry */
+  changeType?: ChangeType;
+  /** The query filter of the operation */
+  filter?: Record<string, unknown>;
+  /** The update of the operation */
+  update?: unknown;
+  /** The query context, used for the user of the overflow summary entry */
+  context?: Record<string, unknown>;
+  /** The reason, ticket and reference of the operation */
+  changeReason?: ChangeReason;
+  /** The operation the summary entry belongs to */
+  operation?: LogOperation;
+  /** The query being written, so the summary entry follows logAfterWrite */
+  target?: object;
+  /** The session the operation runs in, if any */
+  session?: ClientSession | null;
+}
+
+/**
+ * Query details used when simulating an update against the original document.
+ */
+export interface UpdateSimulationContext {
+  /** The query filter, used to resolve the `$` positional operator */
+  filter?: Record<string, unknown>;
+  /** The arrayFilters option, used to resolve `$[identifier]` positional operators */
+  arrayFilters?: Record<string, unknown>[];
+  /** The timestamp of the hook, used for `$currentDate`. Defaults to the time of the simulation */
+  now?: Date;
+}
+
+/**
+ * A bulkWrite operation other than insertOne, in the shape of its single-operation counterpart.
+ */
+export interface BulkWriteQueryOperation {
+  /** The query filter */
+  filter: Record<string, unknown>;
+  /** The update or replacement, undefined for deletes */
+  update?: Record<string, unknown> | Record<string, unknown>[];
+  /** Whether the update is a replacement */
+  replace: boolean;
+  /** Whether the operation affects every matching document */
+  multi: boolean;
+  /** The upsert option */
+  upsert?: boolean;
+  /** The arrayFilters option */
+  arrayFilters?: Record<string, unknown>[];
+}
+
+/**
+ * State shared by the operations of a bulkWrite while their log entries are built.
+ */
+export interface BulkWriteLogState {
+  /** The model the bulkWrite is executed on */
+  model: Model<Document>;
+  /** The operations of the bulkWrite */
+  ops: AnyBulkWriteOperation[];
+  /** The bulkWrite context, used for user extraction */
+  context: Record<string, unknown>;
+  /** The reason, ticket and reference of the bulkWrite */
+  changeReason: ChangeReason;
+  /** The bulkWrite operation the entries belong to */
+  operation: LogOperation;
+  /** The session the bulkWrite runs in, if any */
+  session: ClientSession | null;
+  /** The timestamp of the bulkWrite hook, used for `$currentDate` */
+  now: Date;
+  /** The documents written by the earlier operations by _id, null if deleted */
+  written: Map<string, Record<string, unknown> | null>;
+  /** Documents read ahead for the next single-document operations on an _id, by select and _id */
+  lookups: Map<string, Record<string, unknown> | null>;
+  /** The index of the operation being resolved */
+  index: number;
+  /** The number of entries of that operation logged within maxBatchLog */
+  logged: number;
+}
+
 /**
  * Array difference result for simple arrays.
  */
@@ -365,4 +711,16 @@ export interface LogHistoryPlugin {
   getLogHistoryModelPlugin(): LogHistoryModel;
 }
 
-export type LogHistorySaver = (plugin: LogHistoryPlugin, histories: LogHistoryEntry[]) => Promise<void> | void;
+/**
+ * Options passed to the log history saver.
+ */
+export interface LogHistorySaverOptions {
+  /** The session the logged write runs in, so the log entries can be saved in the same transaction */
+  session?: ClientSession | null;
+}
+
+export type LogHistorySaver = (
+  plugin: LogHistoryPlugin,
+  histories: LogHistoryRecord[],
+  options?: LogHistorySaverOptions
+) => Promise<void> | void;
@@ -1,5 +1,5 @@
-import { Types } from 'mongoose';
-import { ArrayDiff, Mask, MaskedFields, PluginOptions, TrackedField } from './types';
+import { Schema, SchemaType, Types } from 'mongoose';
+import { ArrayDiff, ArrayKey, Mask, MaskedFields, PluginOptions, TrackedField } from './types';
 
 /**
  * Time unit mapping for parsing human-readable time strings.
@@ -196,15 +196,466 @@ export function setByPath(obj: Record<string, unknown>, path: string, value: unk
   current[parts[parts.length - 1]] = value;
 }
 
+/**
+ * Check if a path is a wildcard pattern, i.e. has a `*` (any single segment) or `**` (any depth) segment.
+ * @param path - The dot-notated path.
+ * @returns True if the path has a wildcard segment, false otherwise.
+ */
+export function isWildcardPath(path: string): boolean {
+  return path.split('.').some((segment) => segment === '*' || segment === '**');
+}
+
+/**
+ * Check if a concrete path matches a dot-notated pattern.
+ * `*` matches exactly one segment. `**` matches one or more segments at the end of the pattern,
+ * and zero or more segments anywhere else. Patterns without wildcards only match the same path.
+ * @param pattern - The pattern (e.g., 'settings.*', 'prices.*.amount', 'meta.**').
+ * @param path - The concrete path (e.g., 'prices.usd.amount').
+ * @returns True if the path matches the pattern, false otherwise.
+ */
+export function matchesWildcardPath(pattern: string, path: string): boolean {
+  const patternSegments = pattern.split('.');
+  const pathSegments = path.split('.');
+
+  function match(i: number, j: number): boolean {
+    if (i === patternSegments.length) {
+      return j === pathSegments.length;
+    }
+
+    const segment = patternSegments[i];
+    if (segment === '**') {
+      if (i === patternSegments.length - 1) {
+        return j < pathSegments.length;
+      }
+      for (let k = j; k <= pathSegments.length; k++) {
+        if (match(i + 1, k)) return true;
+      }
+      return false;
+    }
+
+    return j < pathSegments.length && (segment === '*' || segment === pathSegments[j]) && match(i + 1, j + 1);
+  }
+
+  return match(0, 0);
+}
+
+/**
+ * Check if writing a path of an update can change the fields a (wildcard) path matches,
+ * because it is one of those fields, one of their ancestors or one of their descendants.
+ * Array indexes and positional operators in the update path are ignored.
+ * @param pattern - The field path, possibly with wildcards.
+ * @param path - The path written by the update ('items.$.price', 'customer').
+ * @returns True if the update path overlaps the fields.
+ */
+export function updatePathTouches(pattern: string, path: string): boolean {
+  const pathSegments = path.split('.').filter((segment) => !/^\d+$/.test(segment) && !segment.startsWith('$'));
+  const normalizedPath = pathSegments.join('.');
+  if (matchesWildcardPath(pattern, normalizedPath) || matchesWildcardPath(`${pattern}.**`, normalizedPath)) {
+    return true;
+  }
+
+  const patternSegments = pattern.split('.');
+  for (let i = 0; i < pathSegments.length; i++) {
+    const segment = patternSegments[i];
+    if (segment === undefined) {
+      return false;
+    }
+    if (segment === '**') {
+      return true;
+    }
+    if (segment !== '*' && segment !== pathSegments[i]) {
+      return false;
+    }
+  }
+  return pathSegments.length < patternSegments.length;
+}
+
+/**
+ * Check if a value is a plain object that paths can descend into (not an ObjectId, Buffer or other class instance).
+ * @param val - The value to check.
+ * @returns True if the value is a plain object, false otherwise.
+ */
+export function isPlainObject(val: unknown): val is Record<string, unknown> {
+  if (!isObject(val)) return false;
+  const proto = Object.getPrototypeOf(val);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Expand a wildcard pattern into the concrete paths it matches in any of the given documents.
+ * Keys are taken from the union of the documents, so paths that were added or removed are included.
+ * A trailing `**` expands down to leaf values; arrays, dates and ObjectIds are leaves, and so is a path
+ * that holds an object in one document and another value in the other.
+ * @param pattern - The pattern (e.g., 'settings.*', 'prices.*.amount', '**').
+ * @param docs - The documents to expand the pattern against.
+ * @returns The concrete paths, in the order they were found.
+ */
+export function expandWildcardPath(pattern: string, ...docs: (Record<string, unknown> | null | undefined)[]): string[] {
+  const segments = pattern.split('.');
+  const paths = new Set<string>();
+
+  function childKeys(values: unknown[]): string[] {
+    return [...new Set(values.filter(isPlainObject).flatMap((value) => Object.keys(value)))];
+  }
+
+  function child(values: unknown[], key: string): unknown[] {
+    return values.map((value) => (isPlainObject(value) ? value[key] : undefined));
+  }
+
+  function isLeaf(values: unknown[]): boolean {
+    const present = values.filter((value) => value !== undefined);
+    return !present.some(isPlainObject) || present.some((value) => !isPlainObject(value));
+  }
+
+  function walk(values: unknown[], index: number, prefix: string[]): void {
+    if (index === segments.length) {
+      if (prefix.length) paths.add(prefix.join('.'));
+      return;
+    }
+
+    const segment = segments[index];
+    if (segment === '**') {
+      const isLast = index === segments.length - 1;
+      if (!isLast) {
+        walk(values, index + 1, prefix);
+      } else if (prefix.length && isLeaf(values)) {
+        paths.add(prefix.join('.'));
+        return;
+      }
+      for (const key of childKeys(values)) {
+        walk(child(values, key), index, [...prefix, key]);
+      }
+      return;
+    }
+
+    if (segment === '*') {
+      for (const key of childKeys(values)) {
+        walk(child(values, key), index + 1, [...prefix, key]);
+      }
+      return;
+    }
+
+    if (values.some((value) => isPlainObject(value) && Object.prototype.hasOwnProperty.call(value, segment))) {
+      walk(child(values, segment), index + 1, [...prefix, segment]);
+    }
+  }
+
+  walk(docs, 0, []);
+  return [...paths];
+}
+
+/**
+ * Get the mask of a field path, looking up wildcard patterns if the path itself is not masked.
+ * @param maskedFields - The masked fields, keyed by path or pattern.
+ * @param path - The concrete field path.
+ * @returns The mask, or undefined if the path is not masked.
+ */
+export function getFieldMask(maskedFields: MaskedFields, path: string): Mask | undefined {
+  if (maskedFields[path] !== undefined) {
+    return maskedFields[path];
+  }
+
+  const pattern = Object.keys(maskedFields).find((key) => isWildcardPath(key) && matchesWildcardPath(key, path));
+  return pattern === undefined ? undefined : maskedFields[pattern];
+}
+
+/**
+ * Build a new document by applying dot-notated fields to a base document, the way MongoDB applies
+ * an update: dotted keys (including array indices) are expanded into the nested structure, and
+ * undefined values remove the field (or set an array element to null).
+ * The base document is not mutated; only the objects and arrays along the updated paths are copied.
+ * @param base - The base document.
+ * @param fields - The fields to apply, keyed by dot-notated path.
+ * @returns The merged document.
+ */
+export function mergeByPath(
+  base: Record<string, unknown> | null | undefined,
+  fields: Record<string, unknown>
+): Record<string, unknown> {
+  const result: Record<string, unknown> = { ...(base ?? {}) };
+
+  for (const [path, value] of Object.entries(fields)) {
+    const parts = path.split('.');
+    let current: Record<string, unknown> | unknown[] = result;
+    let reachable = true;
+
+    for (let i = 0; i < parts.length - 1; i++) {
+      const container = current as Record<string, unknown>;
+      const next = container[parts[i]];
+
+      if (Array.isArray(next)) {
+        container[parts[i]] = [...next];
+      } else if (isObject(next) && !(next instanceof Types.ObjectId)) {
+        container[parts[i]] = { ...next };
+      } else if (value === undefined) {
+        reachable = false;
+        break;
+      } else {
+        container[parts[i]] = {};
+      }
+
+      current = container[parts[i]] as Record<string, unknown> | unknown[];
+    }
+
+    if (!reachable) {
+      continue;
+    }
+
+    const key = parts[parts.length - 1];
+    if (value !== undefined) {
+      (current as Record<string, unknown>)[key] = value;
+    } else if (Array.isArray(current)) {
+      if (Number(key) < current.length) {
+        current[Number(key)] = null;
+      }
+    } else {
+      delete current[key];
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Compare a stored value with a query value. ObjectIds are compared by their string form,
+ * since query values may not be cast yet.
+ * @param a - The stored value.
+ * @param b - The query value.
+ * @returns True if the values are considered equal, false otherwise.
+ */
+function isQueryValueEqual(a: unknown, b: unknown): boolean {
+  if (a instanceof Types.ObjectId || b instanceof Types.ObjectId) {
+    return String(a) === String(b);
+  }
+  return isEqual(a, b);
+}
+
+/**
+ * Compare two values for the ordering operators ($gt, $gte, $lt, $lte).
+ * @param a - The stored value.
+ * @param b - The query value.
+ * @returns A negative, zero or positive number, or null if the values cannot be compared.
+ */
+function compareQueryValues(a: unknown, b: unknown): number | null {
+  const left = isDate(a) ? a.getTime() : a;
+  const right = isDate(b) ? b.getTime() : b;
+  if (typeof left === 'number' && typeof right === 'number') {
+    return left - right;
+  }
+  if (typeof left === 'string' && typeof right === 'string') {
+    return left < right ? -1 : left > right ? 1 : 0;
+  }
+  return null;
+}
+
+/**
+ * Get the rank of a value's type in MongoDB's sort order.
+ * @param value - The value to rank.
+ * @returns The rank, lower sorts first.
+ */
+function getSortTypeRank(value: unknown): number {
+  if (value === null || value === undefined) return 0;
+  if (typeof value === 'number') return 1;
+  if (typeof value === 'string') return 2;
+  if (value instanceof Types.ObjectId) return 5;
+  if (typeof value === 'boolean') return 6;
+  if (isDate(value)) return 7;
+  if (Array.isArray(value)) return 4;
+  return 3;
+}
+
+/**
+ * Compare two values for sorting, following MongoDB's sort order across types
+ * (null, numbers, strings, objects, arrays, ObjectIds, booleans, dates).
+ * @param a - First value.
+ * @param b - Second value.
+ * @returns A negative number if a sorts first, a positive number if b sorts first, 0 otherwise.
+ */
+export function compareValues(a: unknown, b: unknown): number {
+  const rankA = getSortTypeRank(a);
+  const rankB = getSortTypeRank(b);
+  if (rankA !== rankB) {
+    return rankA - rankB;
+  }
+
+  if (a instanceof Types.ObjectId || typeof a === 'boolean') {
+    return compareQueryValues(String(a), String(b)) ?? 0;
+  }
+
+  return compareQueryValues(a, b) ?? 0;
+}
+
+/**
+ * Check whether a value matches a MongoDB query condition.
+ * Supports equality (including matching an element of an array value) and the
+ * $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $exists and $elemMatch operators.
+ * @param value - The stored value.
+ * @param condition - The query condition for the value.
+ * @returns True if the value matches the condition, false otherwise.
+ */
+export function matchesCondition(value: unknown, condition: unknown): boolean {
+  const isOperatorCondition =
+    isObject(condition) && Object.keys(condition).length > 0 && Object.keys(condition).every((k) => k.startsWith('$'));
+
+  if (!isOperatorCondition) {
+    if (Array.isArray(value) && !Array.isArray(condition)) {
+      return value.some((item) => isQueryValueEqual(item, condition));
+    }
+    return isQueryValueEqual(value, condition);
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$eq':
+        return matchesCondition(value, operand);
+      case '$ne':
+        return !matchesCondition(value, operand);
+      case '$gt':
+      case '$gte':
+      case '$lt':
+      case '$lte': {
+        const compared = compareQueryValues(value, operand);
+        if (compared === null) return false;
+        if (operator === '$gt') return compared > 0;
+        if (operator === '$gte') return compared >= 0;
+        if (operator === '$lt') return compared < 0;
+        return compared <= 0;
+      }
+      case '$in':
+        return Array.isArray(operand) && operand.some((item) => matchesCondition(value, item));
+      case '$nin':
+        return Array.isArray(operand) && !operand.some((item) => matchesCondition(value, item));
+      case '$exists':
+        return (value !== undefined) === Boolean(operand);
+      case '$elemMatch':
+        return (
+          Array.isArray(value) &&
+          value.some((item) =>
+            isObject(item) && isObject(operand) && !Object.keys(operand).every((k) => k.startsWith('$'))
+              ? Object.entries(operand).every(([path, cond]) => matchesCondition(getValueByPath(item, path), cond))
+              : matchesCondition(item, operand)
+          )
+        );
+      default:
+        return false;
+    }
+  });
+}
+
+const FILTER_CONDITION_OPERATORS = ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin', '$exists', '$elemMatch'];
+
+/**
+ * Check whether a document matches a MongoDB query filter.
+ * Supports the conditions of matchesCondition on each path, and the $and, $or and $nor operators.
+ * @param doc - The document.
+ * @param filter - The query filter.
+ * @returns True or false, or undefined if the filter cannot be evaluated here (other operators,
+ * or a path that descends into an array).
+ */
+export function matchesFilter(doc: Record<string, unknown>, filter: Record<string, unknown>): boolean | undefined {
+  let matched = true;
+
+  for (const [key, condition] of Object.entries(filter)) {
+    if (key === '$and' || key === '$or' || key === '$nor') {
+      if (!Array.isArray(condition)) {
+        return undefined;
+      }
+      const results = condition.map((sub) => (isObject(sub) ? matchesFilter(doc, sub) : undefined));
+      if (results.includes(undefined)) {
+        return undefined;
+      }
+      if (key === '$and') {
+        matched = matched && results.every(Boolean);
+      } else if (key === '$or') {
+        matched = matched && results.some(Boolean);
+      } else {
+        matched = matched && !results.some(Boolean);
+      }
+      continue;
+    }
+
+    if (key.startsWith('$')) {
+      return undefined;
+    }
+
+    const segments = key.split('.');
+    let current: unknown = doc;
+    for (let i = 0; i < segments.length - 1; i++) {
+      if (Array.isArray(current) && !/^\d+$/.test(segments[i])) {
+        return undefined;
+      }
+      current =
+        isObject(current) || Array.isArray(current) ? (current as Record<string, unknown>)[segments[i]] : undefined;
+    }
+    if (Array.isArray(current) && !/^\d+$/.test(segments[segments.length - 1])) {
+      return undefined;
+    }
+
+    if (
+      isObject(condition) &&
+      Object.keys(condition).some((k) => k.startsWith('$') && !FILTER_CONDITION_OPERATORS.includes(k))
+    ) {
+      return undefined;
+    }
+
+    matched = matched && matchesCondition(getValueByPath(doc, key), condition);
+  }
+
+  return matched;
+}
+
+/**
+ * Get the _id a query filter selects by equality, e.g. `{ _id: id }`.
+ * @param filter - The query filter.
+ * @returns The _id, or undefined if the filter has other conditions or operators.
+ */
+export function getIdFilterValue(filter: Record<string, unknown>): unknown {
+  const keys = Object.keys(filter);
+  if (keys.length !== 1 || keys[0] !== '_id') {
+    return undefined;
+  }
+
+  const id = filter._id;
+  if (id instanceof Types.ObjectId || typeof id === 'string' || typeof id === 'number') {
+    return id;
+  }
+  return undefined;
+}
+
+/**
+ * Get the key of an item of a custom-key array.
+ * @param item - The array item.
+ * @param arrayKey - The key field, the fields of a composite key, or a function returning the key.
+ * @returns The key as a string, or undefined if the item has no key (any part is null or undefined).
+ */
+export function getArrayItemKey(item: unknown, arrayKey: ArrayKey): string | undefined {
+  if (!isObject(item)) {
+    return undefined;
+  }
+
+  if (typeof arrayKey === 'function') {
+    const keyValue = arrayKey(item);
+    return keyValue === null || keyValue === undefined ? undefined : String(keyValue);
+  }
+
+  if (Array.isArray(arrayKey)) {
+    const parts = arrayKey.map((path) => getValueByPath(item, path));
+    return parts.some((part) => part === null || part === undefined) ? undefined : JSON.stringify(parts.map(String));
+  }
+
+  const keyValue = getValueByPath(item, arrayKey);
+  return keyValue === null || keyValue === undefined ? undefined : String(keyValue);
+}
+
 /**
  * Convert an array of objects to a map using a key field.
  * @param arr - The array of objects.
- * @param key - The key field to use for mapping.
- * @returns A map of key to object.
+ * @param key - The key field, the fields of a composite key, or a function returning the key.
+ * @returns A map of key to object. Items without a key are left out.
  */
 export function arrayToKeyMap<T extends Record<string, unknown>>(
   arr: T[] | null | undefined,
-  key: string
+  key: ArrayKey
 ): Record<string, T> {
   const map: Record<string, T> = {};
 
@@ -213,8 +664,8 @@ export function arrayToKeyMap<T extends Record<string, unknown>>(
   }
 
   for (const item of arr) {
-    if (item && item[key]) {
-      const keyValue = String(item[key]);
+    const keyValue = getArrayItemKey(item, key);
+    if (keyValue !== undefined) {
       map[keyValue] = item;
     }
   }
@@ -260,6 +711,8 @@ export function valueToString(val: unknown, mask?: Mask): string | null | undefi
 
 /**
  * Calculate the difference between two simple arrays (arrays of primitives).
+ * The arrays are compared as multisets by value (isEqual), so duplicates are counted, ObjectIds and dates
+ * are equal to copies of themselves, and the order of the items is ignored.
  * @param before - The array before changes.
  * @param after - The array after changes.
  * @returns Object containing added and removed items.
@@ -268,13 +721,34 @@ export function diffSimpleArray<T = unknown>(
   before: T[] | null | undefined,
   after: T[] | null | undefined
 ): ArrayDiff<T> {
-  const beforeSet = new Set<T>(Array.isArray(before) ? before : []);
-  const afterSet = new Set<T>(Array.isArray(after) ? after : []);
-  const added = [...afterSet].filter((x) => !beforeSet.has(x));
-  const removed = [...beforeSet].filter((x) => !afterSet.has(x));
+  const removed = Array.isArray(before) ? [...before] : [];
+  const added: T[] = [];
+  for (const item of Array.isArray(after) ? after : []) {
+    const index = removed.findIndex((x) => isEqual(x, item));
+    if (index === -1) {
+      added.push(item);
+    } else {
+      removed.splice(index, 1);
+    }
+  }
   return { added, removed };
 }
 
+/**
+ * Check if a value is a valid arrayKey: a non-empty string, a non-empty array of non-empty strings, or a function.
+ * @param arrayKey - The value to check.
+ * @returns True if the value is a valid arrayKey, false otherwise.
+ */
+function isValidArrayKey(arrayKey: unknown): boolean {
+  if (typeof arrayKey === 'function') {
+    return true;
+  }
+  if (Array.isArray(arrayKey)) {
+    return arrayKey.length > 0 && arrayKey.every((path) => typeof path === 'string' && path.length > 0);
+  }
+  return typeof arrayKey === 'string' && arrayKey.length > 0;
+}
+
 /**
  * Validate a single tracked field configuration.
  * @param field - The tracked field to validate.
@@ -296,9 +770,9 @@ export function validateTrackedField(field: TrackedField, path: string): void {
     );
   }
 
-  if (field.arrayType === 'custom-key' && (!field.arrayKey || typeof field.arrayKey !== 'string')) {
+  if (field.arrayType === 'custom-key' && !isValidArrayKey(field.arrayKey)) {
     throw new Error(
-      `[mongoose-log-history] "arrayKey" is required and must be a string when "arrayType" is 'custom-key' in ${path}.${field.value}.`
+      `[mongoose-log-history] "arrayKey" is required and must be a string, an array of strings or a function when "arrayType" is 'custom-key' in ${path}.${field.value}.`
     );
   }
 
@@ -306,6 +780,16 @@ export function validateTrackedField(field: TrackedField, path: string): void {
     throw new Error(`[mongoose-log-history] "valueField" in ${path}.${field.value} must be a string if specified.`);
   }
 
+  if (field.trackOrder !== undefined && typeof field.trackOrder !== 'boolean') {
+    throw new Error(`[mongoose-log-history] "trackOrder" in ${path}.${field.value} must be a boolean if specified.`);
+  }
+
+  if (field.diffMode !== undefined && field.diffMode !== 'shallow' && field.diffMode !== 'deep') {
+    throw new Error(
+      `[mongoose-log-history] "diffMode" in ${path}.${field.value} must be 'shallow' or 'deep' if specified.`
+    );
+  }
+
   if (field.contextFields !== undefined) {
     const contextFields = field.contextFields;
     if (
@@ -329,6 +813,10 @@ export function validateTrackedField(field: TrackedField, path: string): void {
     }
   }
 
+  if (field.requireReason !== undefined && typeof field.requireReason !== 'boolean') {
+    throw new Error(`[mongoose-log-history] "requireReason" in ${path}.${field.value} must be a boolean if specified.`);
+  }
+
   if (field.trackedFields !== undefined) {
     if (!Array.isArray(field.trackedFields)) {
       throw new Error(
@@ -345,18 +833,40 @@ export function validateTrackedField(field: TrackedField, path: string): void {
 /**
  * Validate plugin options and provide helpful error messages.
  * @param options - The plugin options to validate.
+ * @param declaredFields - The tracked fields declared on the schema paths, which make trackedFields optional.
  * @throws Error if options are invalid.
  */
-export function validatePluginOptions(options: PluginOptions & { modelName: string }): void {
+export function validatePluginOptions(
+  options: PluginOptions & { modelName: string },
+  declaredFields: TrackedField[] = []
+): void {
   if (!options.modelName || typeof options.modelName !== 'string') {
     throw new Error('[mongoose-log-history] "modelName" option is required and must be a string.');
   }
 
-  if (!options.trackedFields || !Array.isArray(options.trackedFields)) {
-    throw new Error('[mongoose-log-history] "trackedFields" option must be an array.');
+  if (options.trackAll !== undefined && typeof options.trackAll !== 'boolean') {
+    throw new Error('[mongoose-log-history] "trackAll" must be a boolean.');
   }
 
-  options.trackedFields.forEach((field, idx) => validateTrackedField(field, `trackedFields[${idx}]`));
+  if (
+    options.excludeFields !== undefined &&
+    (!Array.isArray(options.excludeFields) || options.excludeFields.some((field) => typeof field !== 'string'))
+  ) {
+    throw new Error('[mongoose-log-history] "excludeFields" must be an array of strings.');
+  }
+
+  if (
+    options.trackedFields !== 'all' &&
+    !((options.trackAll || declaredFields.length) && options.trackedFields === undefined)
+  ) {
+    if (!options.trackedFields || !Array.isArray(options.trackedFields)) {
+      throw new Error('[mongoose-log-history] "trackedFields" option must be an array or \'all\'.');
+    }
+
+    options.trackedFields.forEach((field, idx) => validateTrackedField(field, `trackedFields[${idx}]`));
+  }
+
+  declaredFields.forEach((field) => validateTrackedField(field, 'schema'));
 
   if (options.batchSize !== undefined && (!Number.isInteger(options.batchSize) || options.batchSize <= 0)) {
     throw new Error('[mongoose-log-history] "batchSize" must be a positive integer.');
@@ -400,6 +910,41 @@ export function validatePluginOptions(options: PluginOptions & { modelName: stri
   if (options.modelKeyId !== undefined && typeof options.modelKeyId !== 'string') {
     throw new Error('[mongoose-log-history] "modelKeyId" must be a string.');
   }
+
+  if (options.updateMode !== undefined && options.updateMode !== 'simulate' && options.updateMode !== 'fetch') {
+    throw new Error('[mongoose-log-history] "updateMode" must be "simulate" or "fetch".');
+  }
+
+  if (
+    options.onBatchOverflow !== undefined &&
+    !['skip', 'summary', 'all', 'reject'].includes(options.onBatchOverflow)
+  ) {
+    throw new Error('[mongoose-log-history] "onBatchOverflow" must be "skip", "summary", "all" or "reject".');
+  }
+
+  if (options.onBatchOverflow === 'all' && options.updateMode === 'fetch') {
+    throw new Error(
+      '[mongoose-log-history] "onBatchOverflow" cannot be "all" with updateMode "fetch", which holds every original document in memory until the write completes.'
+    );
+  }
+
+  if (options.onBatchOverflow === 'all' && options.logAfterWrite) {
+    throw new Error(
+      '[mongoose-log-history] "onBatchOverflow" cannot be "all" with logAfterWrite, which holds every log entry in memory until the write completes.'
+    );
+  }
+
+  if (options.logAfterWrite !== undefined && typeof options.logAfterWrite !== 'boolean') {
+    throw new Error('[mongoose-log-history] "logAfterWrite" must be a boolean.');
+  }
+
+  if (options.saveOperationContext !== undefined && typeof options.saveOperationContext !== 'boolean') {
+    throw new Error('[mongoose-log-history] "saveOperationContext" must be a boolean.');
+  }
+
+  if (options.logFailedWrites !== undefined && typeof options.logFailedWrites !== 'boolean') {
+    throw new Error('[mongoose-log-history] "logFailedWrites" must be a boolean.');
+  }
 }
 
 /**
@@ -431,7 +976,7 @@ export function deepClone<T>(obj: T, maskedFields?: MaskedFields, parentPath?: s
     for (const [key, value] of Object.entries(obj)) {
       const fullKey = parentPath ? `${parentPath}.${key}` : key;
       if (maskedFields) {
-        const mask = maskedFields[fullKey];
+        const mask = getFieldMask(maskedFields, fullKey);
         if (mask !== undefined) {
           if (typeof mask === 'function') {
             cloned[key] = mask(value);
@@ -506,6 +1051,8 @@ export function parseHumanTime(str: string | Date | number | null | undefined):
 /**
  * Returns a mapping of field paths to their masked values or masking functions.
  *
+ * Paths of wildcard fields are kept as patterns; use getFieldMask to look up the mask of a concrete path.
+ *
  * @param trackedFields The array of tracked fields from plugin options.
  * @returns A mapping of field paths to their masked values or masking functions or null if there are no masked fields.
  */
@@ -533,3 +1080,230 @@ export function extractMaskedFields(trackedFields: TrackedField[]): MaskedFields
   extract(trackedFields, '');
   return Object.keys(maskedFields).length > 0 ? maskedFields : undefined;
 }
+
+/**
+ * Returns the paths of the tracked fields that require a reason when they change.
+ *
+ * @param trackedFields The array of tracked fields from plugin options.
+ * @returns The paths of the fields, nested tracked fields joined with dots.
+ */
+export function extractReasonRequiredFields(trackedFields: TrackedField[]): string[] {
+  const reasonRequiredFields: string[] = [];
+
+  function extract(fields: TrackedField[], parentPath: string): void {
+    for (const field of fields) {
+      const fieldPath = parentPath ? `${parentPath}.${field.value}` : field.value;
+
+      if (field.requireReason) {
+        reasonRequiredFields.push(fieldPath);
+      }
+
+      if (field.trackedFields) {
+        extract(field.trackedFields, fieldPath);
+      }
+    }
+  }
+
+  extract(trackedFields, '');
+  return reasonRequiredFields;
+}
+
+/**
+ * A schema type, with the properties of arrays and subdocuments used to infer tracked fields.
+ */
+type SchemaPathType = SchemaType & {
+  schema?: Schema;
+  caster?: SchemaType;
+  $isMongooseDocumentArray?: boolean;
+  $isSingleNested?: boolean;
+  options?: { type?: unknown; logHistory?: unknown };
+};
+
+/**
+ * Get the `logHistory` option of a schema path, set on the path or on the element of an array path.
+ *
+ * @param type The schema type.
+ * @returns The option, or undefined if it is not set.
+ */
+function getLogHistoryOption(type: SchemaPathType): unknown {
+  const elementOptions = Array.isArray(type.options?.type) ? type.options.type[0] : undefined;
+  return type.options?.logHistory ?? (isObject(elementOptions) ? elementOptions.logHistory : undefined);
+}
+
+/**
+ * Check whether a schema type is an array of primitives, tracked as a 'simple' array.
+ *
+ * @param type The schema type.
+ * @returns True if the schema type is an array of primitives.
+ */
+function isPrimitiveArray(type: SchemaPathType): boolean {
+  return (
+    type.instance === 'Array' &&
+    !type.$isMongooseDocumentArray &&
+    !!type.caster &&
+    !['Array', 'Mixed', 'Embedded'].includes(type.caster.instance)
+  );
+}
+
+/**
+ * Derive tracked fields from the paths of a schema, for `trackedFields: 'all'` and `trackAll`.
+ * `_id`, the version key, timestamps and paths with `logHistory: false` are left out. Single nested subdocuments are expanded into
+ * their paths, primitive arrays are tracked as 'simple' arrays and document arrays as 'custom-key'
+ * arrays on `_id`, with the paths of their items as nested tracked fields.
+ *
+ * @param schema The schema to derive the tracked fields from.
+ * @param excludeFields Field paths to leave out, with every path nested under them.
+ * @param parentPath The path of the schema inside the document (used for recursion).
+ * @returns The tracked fields.
+ */
+export function getSchemaTrackedFields(schema: Schema, excludeFields: string[] = [], parentPath = ''): TrackedField[] {
+  const trackedFields: TrackedField[] = [];
+  const ignoredPaths = new Set(['_id']);
+
+  if (!parentPath) {
+    const versionKey = schema.get('versionKey') as string | boolean | undefined;
+    const timestamps = schema.get('timestamps') as
+      | boolean
+      | { createdAt?: string | boolean; updatedAt?: string | boolean }
+      | undefined;
+    ignoredPaths.add(typeof versionKey === 'string' ? versionKey : '__v');
+    if (timestamps) {
+      const { createdAt = true, updatedAt = true } = timestamps === true ? {} : timestamps;
+      if (createdAt) ignoredPaths.add(typeof createdAt === 'string' ? createdAt : 'createdAt');
+      if (updatedAt) ignoredPaths.add(typeof updatedAt === 'string' ? updatedAt : 'updatedAt');
+    }
+  }
+
+  schema.eachPath((path, schemaType) => {
+    const fullPath = parentPath ? `${parentPath}.${path}` : path;
+    if (
+      ignoredPaths.has(path) ||
+      path.includes('$*') ||
+      excludeFields.some((field) => fullPath === field || fullPath.startsWith(`${field}.`))
+    ) {
+      return;
+    }
+
+    const type = schemaType as SchemaPathType;
+    if (getLogHistoryOption(type) === false) {
+      return;
+    }
+
+    if (type.$isSingleNested && type.schema) {
+      trackedFields.push(
+        ...getSchemaTrackedFields(type.schema, excludeFields, fullPath).map((field) => ({
+          ...field,
+          value: `${path}.${field.value}`,
+        }))
+      );
+    } else if (type.$isMongooseDocumentArray && type.schema?.path('_id')) {
+      trackedFields.push({
+        value: path,
+        arrayType: 'custom-key',
+        arrayKey: '_id',
+        trackedFields: getSchemaTrackedFields(type.schema, excludeFields, fullPath),
+      });
+    } else if (isPrimitiveArray(type)) {
+      trackedFields.push({ value: path, arrayType: 'simple' });
+    } else {
+      trackedFields.push({ value: path });
+    }
+  });
+
+  return trackedFields;
+}
+
+/**
+ * Collect the tracked fields declared with the `logHistory` option on schema paths,
+ * e.g. `status: { type: String, logHistory: true }` or `ssn: { type: String, logHistory: { mask: '***' } }`.
+ * Array types are inferred like for `trackAll`, and the paths of subdocument schemas are walked as well:
+ * declared paths of document array items become the nested tracked fields of the array.
+ *
+ * @param schema The schema to collect the tracked fields from.
+ * @returns The tracked fields.
+ * @throws Error if a `logHistory` option is not a boolean or an object.
+ */
+export function getSchemaPathTrackedFields(schema: Schema): TrackedField[] {
+  const trackedFields: TrackedField[] = [];
+
+  schema.eachPath((path, schemaType) => {
+    const type = schemaType as SchemaPathType;
+    const option = getLogHistoryOption(type);
+
+    if (option !== undefined && typeof option !== 'boolean' && !isObject(option)) {
+      throw new Error(`[mongoose-log-history] "logHistory" on schema path "${path}" must be a boolean or an object.`);
+    }
+
+    if (option === false) {
+      return;
+    }
+
+    if (type.$isSingleNested && type.schema && !option) {
+      trackedFields.push(
+        ...getSchemaPathTrackedFields(type.schema).map((field) => ({ ...field, value: `${path}.${field.value}` }))
+      );
+      return;
+    }
+
+    const nestedFields = type.$isMongooseDocumentArray && type.schema ? getSchemaPathTrackedFields(type.schema) : [];
+    if (!option && !nestedFields.length) {
+      return;
+    }
+
+    const config = (isObject(option) ? option : {}) as Partial<TrackedField>;
+    const field: TrackedField = { value: path };
+    if (type.$isMongooseDocumentArray && (config.arrayKey || type.schema?.path('_id'))) {
+      field.arrayType = 'custom-key';
+      field.arrayKey = '_id';
+      if (nestedFields.length) {
+        field.trackedFields = nestedFields;
+      }
+    } else if (isPrimitiveArray(type)) {
+      field.arrayType = 'simple';
+    }
+
+    trackedFields.push({ ...field, ...config, value: path });
+  });
+
+  return trackedFields;
+}
+
+/**
+ * Merge tracked fields, replacing the base fields that overlap the path of an override.
+ * A base field of a different path is only replaced if its masks are kept by a mask on the override,
+ * so an override never silently unmasks a value.
+ *
+ * @param base The base tracked fields.
+ * @param overrides The tracked fields that take precedence.
+ * @returns The merged tracked fields.
+ * @throws If an override of a different path would drop the mask of a base field.
+ */
+export function mergeTrackedFields(base: TrackedField[], overrides: TrackedField[]): TrackedField[] {
+  const contains = (parent: string, path: string) =>
+    path === parent ||
+    path.startsWith(`${parent}.`) ||
+    matchesWildcardPath(parent, path) ||
+    matchesWildcardPath(`${parent}.**`, path);
+  const overlaps = (a: string, b: string) => contains(b, a) || a.startsWith(`${b}.`) || b.startsWith(`${a}.`);
+
+  return [
+    ...base.filter((field) => {
+      const replacing = overrides.filter((override) => overlaps(field.value, override.value));
+      for (const override of replacing) {
+        if (override.value === field.value) {
+          continue;
+        }
+        const droppedMask = Object.keys(extractMaskedFields([field]) ?? {}).find(
+          (path) => override.mask === undefined || !contains(override.value, path)
+        );
+        if (droppedMask) {
+          throw new Error(
+            `[mongoose-log-history] Tracked field "${override.value}" replaces "${field.value}" and would drop the mask of "${droppedMask}". Set a mask on "${override.value}" too, or track "${droppedMask}" with its mask instead.`
+          );
+        }
+      }
+      return !replacing.length;
+    }),
+    ...overrides,
+  ];
+}
@@ -9,6 +9,10 @@ describe('mongoose-log-history plugin - Array Field Tracking', () => {
   beforeAll(() => {
     const orderSchema = new mongoose.Schema({
       tags: [String],
+      steps: [String],
+      lines: [{ _id: false, sku: String, qty: Number }],
+      notes: [{ _id: false, code: String, text: String }],
+      refs: [mongoose.Schema.Types.ObjectId],
       items: [
         {
           sku: String,
@@ -22,6 +26,10 @@ describe('mongoose-log-history plugin - Array Field Tracking', () => {
       modelName: 'Order',
       trackedFields: [
         { value: 'tags', arrayType: 'simple' },
+        { value: 'steps', arrayType: 'simple', trackOrder: true },
+        { value: 'refs', arrayType: 'simple' },
+        { value: 'lines', arrayType: 'custom-key', arrayKey: 'sku', valueField: 'qty' },
+        { value: 'notes', arrayType: 'custom-key', arrayKey: 'code' },
         {
           value: 'items',
           arrayType: 'custom-key',
@@ -88,6 +96,36 @@ describe('mongoose-log-history plugin - Array Field Tracking', () => {
       expect(logs.length).toBe(0);
     });
 
+    it('logs removed duplicates and ignores equal ObjectIds', async () => {
+      const ref = new mongoose.Types.ObjectId();
+      const order = await Order.create({ tags: ['a', 'a'], refs: [ref] });
+      await LogHistory.deleteMany({});
+      order.tags = ['a'];
+      order.refs = [new mongoose.Types.ObjectId(ref.toString())];
+      await order.save();
+
+      const logs = await LogHistory.find({ model_id: order._id, change_type: 'update' }).lean();
+      expect(logs[0].logs.map((l) => [l.field_name, l.change_type, l.from_value])).toEqual([['tags', 'remove', 'a']]);
+    });
+
+    it('logs a reorder only for arrays with trackOrder', async () => {
+      const order = await Order.create({ tags: ['a', 'b'], steps: ['x', 'y'] });
+      await LogHistory.deleteMany({});
+      order.tags = ['b', 'a'];
+      order.steps = ['y', 'x'];
+      await order.save();
+
+      const logs = await LogHistory.find({ model_id: order._id, change_type: 'update' }).lean();
+      expect(logs[0].logs).toEqual([
+        expect.objectContaining({
+          field_name: 'steps',
+          from_value: '["x","y"]',
+          to_value: '["y","x"]',
+          change_type: 'reorder',
+        }),
+      ]);
+    });
+
     it('handles empty arrays and null/undefined', async () => {
       const order = await Order.create({ tags: [] });
       await LogHistory.deleteMany({});
@@ -187,5 +225,40 @@ describe('mongoose-log-history plugin - Array Field Tracking', () => {
       const logs = await LogHistory.find({ model_id: order._id, change_type: 'update' }).lean();
       expect(logs.length).toBe(0);
     });
+
+    it('logs edits of the valueField or the whole item without nested trackedFields', async () => {
+      const order = await Order.create({
+        lines: [
+          { sku: 'A', qty: 1 },
+          { sku: 'B', qty: 2 },
+        ],
+        notes: [{ code: 'n1', text: 'fragile' }],
+      });
+      await LogHistory.deleteMany({});
+      order.lines = [
+        { sku: 'A', qty: 5 },
+        { sku: 'B', qty: 2 },
+      ];
+      order.notes = [{ code: 'n1', text: 'handle with care' }];
+      await order.save();
+
+      const logs = await LogHistory.find({ model_id: order._id, change_type: 'update' }).lean();
+      expect(logs[0].logs).toEqual([
+        expect.objectContaining({
+          field_name: 'lines',
+          from_value: '1',
+          to_value: '5',
+          change_type: 'edit',
+          context: { key: 'A' },
+        }),
+        expect.objectContaining({
+          field_name: 'notes',
+          from_value: '{"code":"n1","text":"fragile"}',
+          to_value: '{"code":"n1","text":"handle with care"}',
+          change_type: 'edit',
+          context: { key: 'n1' },
+        }),
+      ]);
+    });
   });
 });
@@ -80,6 +80,20 @@ describe('mongoose-log-history plugin - Batch Size and Max Batch Log', () => {
     expect(warnSpy).toHaveBeenCalled();
   });
 
+  it('reports the number of unlogged documents when streaming deleteMany', async () => {
+    const docs = [];
+    for (let i = 0; i < 12; i++) {
+      docs.push({ status: 'a' });
+    }
+    await Order.collection.insertMany(docs);
+    await Order.deleteMany({});
+
+    const logs = await LogHistory.find({ change_type: 'delete' }).lean();
+    expect(logs.length).toBe(5);
+    const warning = warnSpy.mock.calls.find((call) => call[0] && call[0].includes('Skipped logging for'));
+    expect(warning[0]).toContain('Skipped logging for 7 documents');
+  });
+
   it('respects maxBatchLog in insertMany', async () => {
     const docs = [];
     for (let i = 0; i < 10; i++) {
@@ -0,0 +1,167 @@
+require('../setup/mongodb');
+const mongoose = require('mongoose');
+const { changeLoggingPlugin, getLogHistoryModel } = require('../../dist');
+
+function createOrderModel(name, onBatchOverflow) {
+  const orderSchema = new mongoose.Schema({
+    status: String,
+    secret: String,
+  });
+
+  orderSchema.plugin(changeLoggingPlugin, {
+    modelName: name,
+    trackedFields: [{ value: 'status' }, { value: 'secret', mask: '***' }],
+    singleCollection: true,
+    maxBatchLog: 3,
+    batchSize: 2,
+    onBatchOverflow,
+  });
+
+  return mongoose.model(name, orderSchema);
+}
+
+async function seed(Order, count) {
+  const docs = [];
+  for (let i = 0; i < count; i++) {
+    docs.push({ status: 'a', secret: 's' });
+  }
+  await Order.collection.insertMany(docs);
+}
+
+describe('mongoose-log-history plugin - Batch Overflow', () => {
+  let LogHistory;
+
+  beforeAll(() => {
+    LogHistory = getLogHistoryModel('OrderBatchOverflow', true);
+  });
+
+  afterEach(async () => {
+    await LogHistory.deleteMany({});
+  });
+
+  describe('onBatchOverflow: summary', () => {
+    let Order;
+
+    beforeAll(() => {
+      Order = createOrderModel('OrderOverflowSummary', 'summary');
+    });
+
+    afterEach(async () => {
+      await Order.collection.deleteMany({});
+    });
+
+    it('writes one summary entry for the unlogged documents of updateMany', async () => {
+      await seed(Order, 5);
+      await Order.updateMany(
+        { secret: 's' },
+        { $set: { status: 'z', secret: 't' } },
+        { context: { created_by: 'ann' } }
+      );
+
+      const logs = await LogHistory.find({ model: 'OrderOverflowSummary', change_type: 'update' }).lean();
+      const summaries = logs.filter((log) => log.overflow);
+      expect(logs.length - summaries.length).toBe(3);
+      expect(summaries.length).toBe(1);
+      expect(summaries[0].model_id).toBeUndefined();
+      expect(summaries[0].created_by).toBe('ann');
+      expect(summaries[0].overflow).toEqual({
+        operation: 'updateMany',
+        filter: { secret: '***' },
+        update: { $set: { status: 'z', secret: '***' } },
+        unlogged_count: 2,
+      });
+    });
+
+    it('writes a summary entry for deleteMany', async () => {
+      await seed(Order, 4);
+      await Order.deleteMany({});
+
+      const summary = await LogHistory.findOne({ model: 'OrderOverflowSummary', overflow: { $exists: true } }).lean();
+      expect(summary.change_type).toBe('delete');
+      expect(summary.overflow).toMatchObject({ operation: 'deleteMany', unlogged_count: 1 });
+    });
+
+    it('logs only the deleted document of deleteOne and findOneAndDelete', async () => {
+      await seed(Order, 5);
+      await Order.deleteOne({ status: 'a' });
+      await Order.findOneAndDelete({ status: 'a' }, { sort: { _id: -1 } });
+
+      const logs = await LogHistory.find({ model: 'OrderOverflowSummary', change_type: 'delete' }).lean();
+      expect(logs.length).toBe(2);
+      expect(logs.some((log) => log.overflow)).toBe(false);
+      const remaining = await Order.find({}).lean();
+      const logged = logs.map((log) => String(log.model_id));
+      expect(remaining.some((order) => logged.includes(String(order._id)))).toBe(false);
+    });
+
+    it('does not write a summary when the limit is not exceeded', async () => {
+      await seed(Order, 3);
+      await Order.deleteMany({});
+
+      const count = await LogHistory.countDocuments({ model: 'OrderOverflowSummary', overflow: { $exists: true } });
+      expect(count).toBe(0);
+    });
+  });
+
+  describe('onBatchOverflow: all', () => {
+    let Order;
+
+    beforeAll(() => {
+      Order = createOrderModel('OrderOverflowAll', 'all');
+    });
+
+    afterEach(async () => {
+      await Order.collection.deleteMany({});
+    });
+
+    it('logs every document past maxBatchLog', async () => {
+      await seed(Order, 7);
+      await Order.updateMany({}, { $set: { status: 'z' } });
+      await Order.insertMany([{ status: 'a' }, { status: 'b' }, { status: 'c' }, { status: 'd' }]);
+
+      const updates = await LogHistory.countDocuments({ model: 'OrderOverflowAll', change_type: 'update' });
+      const creates = await LogHistory.countDocuments({ model: 'OrderOverflowAll', change_type: 'create' });
+      expect(updates).toBe(7);
+      expect(creates).toBe(4);
+    });
+  });
+
+  describe('onBatchOverflow: reject', () => {
+    let Order;
+
+    beforeAll(() => {
+      Order = createOrderModel('OrderOverflowReject', 'reject');
+    });
+
+    afterEach(async () => {
+      await Order.collection.deleteMany({});
+    });
+
+    it('rejects updateMany and deleteMany past maxBatchLog without writing', async () => {
+      await seed(Order, 4);
+
+      await expect(Order.updateMany({}, { $set: { status: 'z' } })).rejects.toThrow(/onBatchOverflow/);
+      await expect(Order.deleteMany({})).rejects.toThrow(/onBatchOverflow/);
+
+      expect(await Order.countDocuments({ status: 'a' })).toBe(4);
+      expect(await LogHistory.countDocuments({ model: 'OrderOverflowReject' })).toBe(0);
+    });
+
+    it('rejects insertMany past maxBatchLog', async () => {
+      await expect(
+        Order.insertMany([{ status: 'a' }, { status: 'b' }, { status: 'c' }, { status: 'd' }])
+      ).rejects.toThrow(/onBatchOverflow/);
+      expect(await Order.countDocuments({})).toBe(0);
+    });
+
+    it('allows operations within maxBatchLog and single-document deletes', async () => {
+      await seed(Order, 3);
+      await Order.updateMany({}, { $set: { status: 'z' } });
+      await seed(Order, 2);
+      await Order.deleteOne({ status: 'a' });
+
+      expect(await LogHistory.countDocuments({ model: 'OrderOverflowReject', change_type: 'update' })).toBe(3);
+      expect(await LogHistory.countDocuments({ model: 'OrderOverflowReject', change_type: 'delete' })).toBe(1);
+    });
+  });
+});
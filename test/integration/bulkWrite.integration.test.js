@@ -0,0 +1,216 @@
+require('../setup/mongodb');
+const mongoose = require('mongoose');
+const { changeLoggingPlugin, getLogHistoryModel } = require('../../dist');
+
+describe('mongoose-log-history plugin - bulkWrite', () => {
+  let Order;
+  let LogHistory;
+
+  beforeAll(() => {
+    const orderSchema = new mongoose.Schema({
+      status: String,
+      tags: [String],
+      created_by: String,
+    });
+
+    orderSchema.plugin(changeLoggingPlugin, {
+      modelName: 'OrderBulkWrite',
+      trackedFields: [{ value: 'status' }, { value: 'tags', arrayType: 'simple' }],
+      singleCollection: true,
+      softDelete: {
+        field: 'status',
+        value: 'deleted',
+      },
+    });
+
+    Order = mongoose.model('OrderBulkWrite', orderSchema);
+    LogHistory = getLogHistoryModel('OrderBulkWrite', true);
+  });
+
+  afterEach(async () => {
+    await Order.deleteMany({});
+    await LogHistory.deleteMany({});
+  });
+
+  it('logs create for insertOne operations', async () => {
+    const id = new mongoose.Types.ObjectId();
+    await Order.bulkWrite([{ insertOne: { document: { _id: id, status: 'pending', created_by: 'alice' } } }]);
+
+    const logs = await LogHistory.find({ model_id: id }).lean();
+    expect(logs.length).toBe(1);
+    expect(logs[0].change_type).toBe('create');
+    expect(logs[0].created_by).toBe('alice');
+  });
+
+  it('assigns an _id to insertOne documents without one', async () => {
+    const document = { status: 'pending' };
+    await Order.bulkWrite([{ insertOne: { document } }]);
+
+    const order = await Order.findOne({ status: 'pending' }).lean();
+    const logs = await LogHistory.find({ model_id: order._id, change_type: 'create' }).lean();
+    expect(logs.length).toBe(1);
+    expect(document).toEqual({ status: 'pending' });
+  });
+
+  it('resolves each operation against the documents written by the earlier ones', async () => {
+    const id = new mongoose.Types.ObjectId();
+    const order = await Order.create({ status: 'a' });
+    await LogHistory.deleteMany({});
+
+    await Order.bulkWrite([
+      { insertOne: { document: { _id: id, status: 'new' } } },
+      { updateOne: { filter: { _id: id }, update: { $set: { status: 'paid' } } } },
+      { updateOne: { filter: { _id: order._id }, update: { $set: { status: 'b' } } } },
+      { updateOne: { filter: { _id: order._id }, update: { $set: { status: 'c' } } } },
+      { updateMany: { filter: { status: 'paid' }, update: { $push: { tags: 'vip' } } } },
+    ]);
+
+    const inserted = await LogHistory.find({ model_id: id }).sort({ _id: 1 }).lean();
+    expect(inserted.map((log) => [log.change_type, log.logs.map((l) => [l.from_value, l.to_value])])).toEqual([
+      ['create', []],
+      ['update', [['new', 'paid']]],
+      ['update', [[null, 'vip']]],
+    ]);
+
+    const updated = await LogHistory.find({ model_id: order._id }).sort({ _id: 1 }).lean();
+    expect(updated.map((log) => log.logs.map((l) => [l.from_value, l.to_value]))).toEqual([[['a', 'b']], [['b', 'c']]]);
+  });
+
+  it('logs update for updateOne and updateMany operations', async () => {
+    const [a, b, c] = await Order.insertMany([{ status: 'a' }, { status: 'b' }, { status: 'b' }]);
+    await LogHistory.deleteMany({});
+
+    await Order.bulkWrite([
+      { updateOne: { filter: { _id: a._id }, update: { $set: { status: 'x' } } } },
+      { updateMany: { filter: { status: 'b' }, update: { $push: { tags: 'vip' } } } },
+    ]);
+
+    const logsA = await LogHistory.find({ model_id: a._id, change_type: 'update' }).lean();
+    expect(logsA.length).toBe(1);
+    expect(logsA[0].logs[0]).toMatchObject({ field_name: 'status', from_value: 'a', to_value: 'x' });
+
+    for (const order of [b, c]) {
+      const logs = await LogHistory.find({ model_id: order._id, change_type: 'update' }).lean();
+      expect(logs.length).toBe(1);
+      expect(logs[0].logs[0]).toMatchObject({ field_name: 'tags', to_value: 'vip', change_type: 'add' });
+    }
+  });
+
+  it('logs update for replaceOne operations', async () => {
+    const order = await Order.create({ status: 'pending' });
+    await LogHistory.deleteMany({});
+
+    await Order.bulkWrite([{ replaceOne: { filter: { _id: order._id }, replacement: { status: 'done' } } }]);
+
+    const logs = await LogHistory.find({ model_id: order._id, change_type: 'update' }).lean();
+    expect(logs.length).toBe(1);
+    expect(logs[0].logs[0]).toMatchObject({ field_name: 'status', from_value: 'pending', to_value: 'done' });
+  });
+
+  it('logs create for upserted updateOne operations', async () => {
+    const id = new mongoose.Types.ObjectId();
+    await Order.bulkWrite([{ updateOne: { filter: { _id: id }, update: { $set: { status: 'new' } }, upsert: true } }]);
+
+    const logs = await LogHistory.find({ model_id: id }).lean();
+    expect(logs.length).toBe(1);
+    expect(logs[0].change_type).toBe('create');
+  });
+
+  it('logs delete for deleteOne, deleteMany and soft delete operations', async () => {
+    const [a, b, c, d] = await Order.insertMany([{ status: 'a' }, { status: 'b' }, { status: 'b' }, { status: 'c' }]);
+    await LogHistory.deleteMany({});
+
+    await Order.bulkWrite([
+      { deleteOne: { filter: { _id: a._id } } },
+      { deleteMany: { filter: { status: 'b' } } },
+      { updateOne: { filter: { _id: d._id }, update: { $set: { status: 'deleted' } } } },
+    ]);
+
+    for (const order of [a, b, c, d]) {
+      const logs = await LogHistory.find({ model_id: order._id, change_type: 'delete' }).lean();
+      expect(logs.length).toBe(1);
+    }
+  });
+
+  it('uses the context passed in bulkWrite options for user extraction', async () => {
+    const order = await Order.create({ status: 'pending' });
+    await LogHistory.deleteMany({});
+
+    await Order.bulkWrite([{ updateOne: { filter: { _id: order._id }, update: { $set: { status: 'done' } } } }], {
+      context: { created_by: 'bob' },
+    });
+
+    const logs = await LogHistory.find({ model_id: order._id, change_type: 'update' }).lean();
+    expect(logs.length).toBe(1);
+    expect(logs[0].created_by).toBe('bob');
+  });
+
+  it('does not log no-op updates', async () => {
+    const order = await Order.create({ status: 'pending' });
+    await LogHistory.deleteMany({});
+
+    await Order.bulkWrite([{ updateOne: { filter: { _id: order._id }, update: { $set: { status: 'pending' } } } }]);
+
+    const logs = await LogHistory.find({ model_id: order._id }).lean();
+    expect(logs.length).toBe(0);
+  });
+});
+
+describe('mongoose-log-history plugin - bulkWrite batches', () => {
+  let Order;
+  let LogHistory;
+
+  beforeAll(() => {
+    const orderSchema = new mongoose.Schema({ status: String });
+
+    orderSchema.plugin(changeLoggingPlugin, {
+      modelName: 'OrderBulkWriteBatches',
+      trackedFields: [{ value: 'status' }],
+      singleCollection: true,
+      maxBatchLog: 2,
+      batchSize: 2,
+      onBatchOverflow: 'summary',
+    });
+
+    Order = mongoose.model('OrderBulkWriteBatches', orderSchema);
+    LogHistory = getLogHistoryModel('OrderBulkWriteBatches', true);
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await Order.deleteMany({});
+    await LogHistory.deleteMany({});
+  });
+
+  it('logs at most maxBatchLog documents and summarizes the rest', async () => {
+    await Order.collection.insertMany([{ status: 'a' }, { status: 'a' }, { status: 'a' }, { status: 'b' }]);
+
+    await Order.bulkWrite([
+      { updateMany: { filter: { status: 'a' }, update: { $set: { status: 'c' } } } },
+      { deleteMany: { filter: { status: 'b' } } },
+    ]);
+
+    const logs = await LogHistory.find({ model: 'OrderBulkWriteBatches' }).sort({ _id: 1 }).lean();
+    expect(logs.map((log) => log.change_type)).toEqual(['update', 'update', 'update']);
+    expect(logs[2].overflow).toMatchObject({ operation: 'bulkWrite', unlogged_count: 2 });
+  });
+
+  it('reads single-document operations on an _id together', async () => {
+    const [a, b] = await Order.collection
+      .insertMany([{ status: 'a' }, { status: 'b' }])
+      .then((res) => Object.values(res.insertedIds));
+    const find = jest.spyOn(Order, 'find');
+
+    await Order.bulkWrite([
+      { updateOne: { filter: { _id: a }, update: { $set: { status: 'c' } } } },
+      { updateOne: { filter: { _id: b }, update: { $set: { status: 'd' } } } },
+    ]);
+
+    expect(find).toHaveBeenCalledTimes(1);
+    const logs = await LogHistory.find({ model: 'OrderBulkWriteBatches' }).sort({ _id: 1 }).lean();
+    expect(logs.map((log) => [String(log.model_id), log.logs[0].to_value])).toEqual([
+      [String(a), 'c'],
+      [String(b), 'd'],
+    ]);
+  });
+});
@@ -0,0 +1,194 @@
+require('../setup/mongodb');
+const mongoose = require('mongoose');
+const { changeLoggingPlugin, getLogHistoryModel, buildLogEntry } = require('../../dist');
+
+describe('mongoose-log-history plugin - Change Reason', () => {
+  let Order;
+  let LogHistory;
+
+  beforeAll(() => {
+    const orderSchema = new mongoose.Schema({
+      status: String,
+      note: String,
+      items: [{ sku: String, price: Number }],
+    });
+
+    orderSchema.plugin(changeLoggingPlugin, {
+      modelName: 'OrderChangeReason',
+      trackedFields: [
+        { value: 'status', requireReason: true },
+        { value: 'note' },
+        {
+          value: 'items',
+          arrayType: 'custom-key',
+          arrayKey: 'sku',
+          trackedFields: [{ value: 'price', requireReason: true }],
+        },
+      ],
+      softDelete: { field: 'status', value: 'deleted' },
+      singleCollection: true,
+    });
+
+    Order = mongoose.model('OrderChangeReason', orderSchema);
+    LogHistory = getLogHistoryModel('OrderChangeReason', true);
+  });
+
+  afterEach(async () => {
+    await Order.deleteMany({});
+    await LogHistory.deleteMany({});
+  });
+
+  it('stores reason, ticket and reference from query options', async () => {
+    const order = await Order.create({ status: 'pending' });
+    await LogHistory.deleteMany({});
+
+    await Order.updateOne(
+      { _id: order._id },
+      { $set: { status: 'refunded' } },
+      { reason: 'Customer requested a refund', ticket: 'SUP-1', reference: 'call-42' }
+    );
+
+    const logs = await LogHistory.find({ model_id: order._id }).lean();
+    expect(logs.length).toBe(1);
+    expect(logs[0]).toMatchObject({ reason: 'Customer requested a refund', ticket: 'SUP-1', reference: 'call-42' });
+  });
+
+  it('reads the reason of save() from its options and $locals', async () => {
+    const order = new Order({ status: 'pending' });
+    await order.save({ reason: 'Imported', ticket: 'OPS-1' });
+
+    order.status = 'done';
+    order.$locals.reason = 'Shipped';
+    await order.save({ ticket: 'OPS-2' });
+
+    const logs = await LogHistory.find({ model_id: order._id }).sort({ created_at: 1 }).lean();
+    expect(logs.map((log) => [log.change_type, log.reason, log.ticket])).toEqual([
+      ['create', 'Imported', 'OPS-1'],
+      ['update', 'Shipped', 'OPS-2'],
+    ]);
+  });
+
+  it('rejects updates of required fields without a reason', async () => {
+    const order = await Order.create({ status: 'pending', items: [{ sku: 'a', price: 1 }] });
+    await LogHistory.deleteMany({});
+
+    await expect(Order.updateOne({ _id: order._id }, { $set: { status: 'refunded' } })).rejects.toThrow(
+      /reason is required to change status/
+    );
+    await expect(Order.updateMany({}, { $set: { 'items.0.price': 2 } })).rejects.toThrow(/items\.price/);
+    await expect(
+      Order.bulkWrite([{ updateOne: { filter: { _id: order._id }, update: { $set: { status: 'x' } } } }])
+    ).rejects.toThrow(/reason is required/);
+
+    order.status = 'cancelled';
+    await expect(order.save()).rejects.toThrow(/reason is required/);
+
+    const stored = await Order.findById(order._id).lean();
+    expect(stored.status).toBe('pending');
+    expect(stored.items[0].price).toBe(1);
+    expect(await LogHistory.countDocuments({ model_id: order._id })).toBe(0);
+  });
+
+  it('does not require a reason for other fields, creates and deletes', async () => {
+    const order = await Order.create({ status: 'pending' });
+    await Order.updateOne({ _id: order._id }, { $set: { note: 'fragile' } });
+    await Order.deleteOne({ _id: order._id });
+
+    const logs = await LogHistory.find({ model_id: order._id }).sort({ created_at: 1 }).lean();
+    expect(logs.map((log) => log.change_type)).toEqual(['create', 'update', 'delete']);
+  });
+
+  it('checks soft deletes like updates', async () => {
+    const order = await Order.create({ status: 'pending' });
+
+    await expect(Order.updateOne({ _id: order._id }, { $set: { status: 'deleted' } })).rejects.toThrow(
+      /reason is required to change status/
+    );
+    order.status = 'deleted';
+    await expect(order.save()).rejects.toThrow(/reason is required to change status/);
+
+    await Order.updateOne({ _id: order._id }, { $set: { status: 'deleted' } }, { reason: 'Duplicate' });
+    const log = await LogHistory.findOne({ model_id: order._id, change_type: 'delete' }).lean();
+    expect(log.reason).toBe('Duplicate');
+  });
+
+  it('builds entries with a reason through the manual API', () => {
+    const entry = buildLogEntry({
+      model_id: new mongoose.Types.ObjectId(),
+      model_name: 'OrderChangeReason',
+      change_type: 'update',
+      logs: [],
+      reason: 'Manual correction',
+      ticket: 'OPS-42',
+    });
+
+    expect(entry).toMatchObject({ reason: 'Manual correction', ticket: 'OPS-42' });
+    expect(entry.reference).toBeUndefined();
+  });
+});
+
+describe('mongoose-log-history plugin - Change Reason across batches and in fetch mode', () => {
+  const models = {};
+
+  beforeAll(() => {
+    for (const updateMode of ['simulate', 'fetch']) {
+      const modelName = `OrderChangeReason_${updateMode}`;
+      const orderSchema = new mongoose.Schema({ status: String, note: String, customer: { ssn: String } });
+      orderSchema.plugin(changeLoggingPlugin, {
+        modelName,
+        trackedFields: [
+          { value: 'status', requireReason: true },
+          { value: 'note' },
+          { value: 'customer.ssn', requireReason: true },
+        ],
+        batchSize: 2,
+        updateMode,
+        singleCollection: true,
+      });
+      models[updateMode] = {
+        Order: mongoose.model(modelName, orderSchema),
+        LogHistory: getLogHistoryModel(modelName, true),
+      };
+    }
+  });
+
+  afterEach(async () => {
+    for (const { Order, LogHistory } of Object.values(models)) {
+      await Order.deleteMany({});
+      await LogHistory.deleteMany({});
+    }
+  });
+
+  it.each(['simulate', 'fetch'])('rejects updateMany before any batch is written (%s)', async (updateMode) => {
+    const { Order, LogHistory } = models[updateMode];
+    await Order.insertMany([{ status: 'done' }, { status: 'done' }, { status: 'pending' }]);
+    await LogHistory.deleteMany({});
+
+    // Only the document of the last batch actually changes status
+    await expect(Order.updateMany({}, { $set: { status: 'done', note: 'x' } })).rejects.toThrow(
+      /reason is required to change status/
+    );
+
+    expect(await LogHistory.countDocuments({})).toBe(0);
+    expect(await Order.countDocuments({ note: 'x' })).toBe(0);
+  });
+
+  it('rejects query updates in fetch mode before they are applied', async () => {
+    const { Order, LogHistory } = models.fetch;
+    const order = await Order.create({ status: 'pending', customer: { ssn: '1' } });
+    await LogHistory.deleteMany({});
+
+    await expect(Order.updateOne({ _id: order._id }, { $set: { customer: { ssn: '2' } } })).rejects.toThrow(
+      /reason is required to change customer\.ssn/
+    );
+    await expect(Order.findOneAndUpdate({ _id: order._id }, { $unset: { status: 1 } })).rejects.toThrow(
+      /reason is required to change status/
+    );
+    await Order.updateOne({ _id: order._id }, { $set: { note: 'fragile' } });
+
+    const stored = await Order.findById(order._id).lean();
+    expect(stored).toMatchObject({ status: 'pending', customer: { ssn: '1' }, note: 'fragile' });
+    const logs = await LogHistory.find({ model_id: order._id }).lean();
+    expect(logs.map((log) => log.logs.map((l) => l.field_name))).toEqual([['note']]);
+  });
+});
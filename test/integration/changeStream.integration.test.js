@@ -0,0 +1,122 @@
+require('../setup/mongodb');
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const { startChangeStreamCapture, getLogHistoryModel } = require('../../dist');
+
+async function waitForLogs(LogHistory, filter, count) {
+  for (let i = 0; i < 50; i++) {
+    const logs = await LogHistory.find(filter).sort({ created_at: 1 }).lean();
+    if (logs.length >= count) {
+      return logs;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  return LogHistory.find(filter).sort({ created_at: 1 }).lean();
+}
+
+describe('mongoose-log-history plugin - Change Stream Capture', () => {
+  let replSet;
+  let Order;
+  let LogHistory;
+  let capture;
+
+  const captureOptions = {
+    trackedFields: [{ value: 'status' }],
+    singleCollection: true,
+    softDelete: {
+      field: 'status',
+      value: 'deleted',
+    },
+  };
+
+  beforeAll(async () => {
+    await mongoose.disconnect();
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+    await mongoose.connect(replSet.getUri());
+
+    const orderSchema = new mongoose.Schema({
+      status: String,
+      created_by: String,
+    });
+
+    Order = mongoose.model('OrderChangeStream', orderSchema);
+    LogHistory = getLogHistoryModel('OrderChangeStream', true);
+    await LogHistory.createCollection();
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await replSet.stop();
+  });
+
+  beforeEach(async () => {
+    capture = await startChangeStreamCapture(Order, captureOptions);
+  });
+
+  afterEach(async () => {
+    await capture.close();
+    await mongoose.connection.collection('log_history_resume_tokens').deleteMany({});
+    await Order.deleteMany({});
+    await LogHistory.deleteMany({});
+  });
+
+  it('logs writes made through the raw driver', async () => {
+    const { insertedId } = await Order.collection.insertOne({ status: 'pending', created_by: 'alice' });
+    await Order.collection.updateOne({ _id: insertedId }, { $set: { status: 'done' } });
+    await Order.collection.deleteOne({ _id: insertedId });
+
+    const logs = await waitForLogs(LogHistory, { model_id: insertedId }, 3);
+    expect(logs.map((log) => log.change_type)).toEqual(['create', 'update', 'delete']);
+    expect(logs[0].created_by).toBe('alice');
+    expect(logs[1].logs[0]).toMatchObject({ field_name: 'status', from_value: 'pending', to_value: 'done' });
+  });
+
+  it('logs soft deletes and ignores untracked changes', async () => {
+    const { insertedId } = await Order.collection.insertOne({ status: 'pending' });
+    await Order.collection.updateOne({ _id: insertedId }, { $set: { created_by: 'bob' } });
+    await Order.collection.updateOne({ _id: insertedId }, { $set: { status: 'deleted' } });
+
+    const logs = await waitForLogs(LogHistory, { model_id: insertedId }, 2);
+    expect(logs.map((log) => log.change_type)).toEqual(['create', 'delete']);
+  });
+
+  it('resumes from the persisted resume token after a restart', async () => {
+    const { insertedId } = await Order.collection.insertOne({ status: 'pending' });
+    await waitForLogs(LogHistory, { model_id: insertedId }, 1);
+
+    await capture.close();
+    await Order.collection.updateOne({ _id: insertedId }, { $set: { status: 'done' } });
+    capture = await startChangeStreamCapture(Order, captureOptions);
+
+    const logs = await waitForLogs(LogHistory, { model_id: insertedId }, 2);
+    expect(logs.map((log) => log.change_type)).toEqual(['create', 'update']);
+  });
+
+  it('stops without moving the resume token past an event that could not be logged', async () => {
+    const first = await Order.collection.insertOne({ status: 'pending' });
+    await waitForLogs(LogHistory, { model_id: first.insertedId }, 1);
+    await capture.close();
+
+    const errors = [];
+    capture = await startChangeStreamCapture(Order, {
+      ...captureOptions,
+      logHistorySaver: async () => {
+        throw new Error('log store unavailable');
+      },
+      onError: (err) => errors.push(err),
+    });
+
+    const { insertedId } = await Order.collection.insertOne({ status: 'pending' });
+    for (let i = 0; i < 50 && !errors.length; i++) {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    expect(errors.map((err) => err.message)).toEqual(['log store unavailable']);
+    expect(capture.changeStream.closed).toBe(true);
+
+    await capture.close();
+    capture = await startChangeStreamCapture(Order, captureOptions);
+
+    const logs = await waitForLogs(LogHistory, { model_id: insertedId }, 1);
+    expect(logs.map((log) => log.change_type)).toEqual(['create']);
+  });
+});
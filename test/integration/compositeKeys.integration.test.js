@@ -0,0 +1,121 @@
+require('../setup/mongodb');
+const mongoose = require('mongoose');
+const { changeLoggingPlugin, getLogHistoryModel } = require('../../dist');
+
+describe('mongoose-log-history plugin - Composite Array Keys', () => {
+  let Product;
+  let LogHistory;
+
+  beforeAll(() => {
+    const productSchema = new mongoose.Schema({
+      stock: [{ _id: false, warehouse: String, sku: String, qty: Number }],
+      bins: [{ _id: false, code: String, qty: Number }],
+    });
+
+    productSchema.plugin(changeLoggingPlugin, {
+      modelName: 'ProductCompositeKey',
+      trackedFields: [
+        {
+          value: 'stock',
+          arrayType: 'custom-key',
+          arrayKey: ['warehouse', 'sku'],
+          valueField: 'qty',
+          trackedFields: [{ value: 'qty' }],
+        },
+        {
+          value: 'bins',
+          arrayType: 'custom-key',
+          arrayKey: (bin) => bin.code && bin.code.toUpperCase(),
+          valueField: 'code',
+          trackedFields: [{ value: 'qty' }],
+        },
+      ],
+      singleCollection: true,
+    });
+
+    Product = mongoose.model('ProductCompositeKey', productSchema);
+    LogHistory = getLogHistoryModel('ProductCompositeKey', true);
+  });
+
+  afterEach(async () => {
+    await Product.deleteMany({});
+    await LogHistory.deleteMany({});
+  });
+
+  it('matches items by every field of a composite key', async () => {
+    const product = await Product.create({
+      stock: [
+        { warehouse: 'A', sku: 'x', qty: 1 },
+        { warehouse: 'B', sku: 'x', qty: 2 },
+      ],
+    });
+    await LogHistory.deleteMany({});
+
+    product.stock = [
+      { warehouse: 'B', sku: 'x', qty: 5 },
+      { warehouse: 'A', sku: 'x', qty: 1 },
+      { warehouse: 'A', sku: 'y', qty: 3 },
+    ];
+    await product.save();
+
+    const [log] = await LogHistory.find({ model_id: product._id }).lean();
+    expect(log.logs.map((l) => [l.field_name, l.change_type, l.from_value, l.to_value])).toEqual([
+      ['stock.qty', 'edit', '2', '5'],
+      ['stock', 'add', null, '3'],
+    ]);
+  });
+
+  it('simulates $addToSet with composite keys and key functions', async () => {
+    const product = await Product.create({
+      stock: [{ warehouse: 'A', sku: 'x', qty: 1 }],
+      bins: [{ code: 'a1', qty: 1 }],
+    });
+    await LogHistory.deleteMany({});
+
+    await Product.updateOne(
+      { _id: product._id },
+      {
+        $addToSet: {
+          stock: {
+            $each: [
+              { warehouse: 'A', sku: 'x', qty: 1 },
+              { warehouse: 'B', sku: 'x', qty: 4 },
+            ],
+          },
+          bins: { code: 'b2', qty: 2 },
+        },
+      }
+    );
+
+    const [log] = await LogHistory.find({ model_id: product._id }).lean();
+    expect(log.logs.map((l) => [l.field_name, l.change_type, l.to_value])).toEqual([
+      ['stock', 'add', '4'],
+      ['bins', 'add', 'b2'],
+    ]);
+  });
+
+  it('matches items without a key in order', async () => {
+    const product = await Product.create({ bins: [{ qty: 1 }, { code: 'a1', qty: 1 }] });
+    await LogHistory.deleteMany({});
+
+    product.bins = [{ qty: 2 }, { code: 'a1', qty: 1 }];
+    await product.save();
+
+    const [log] = await LogHistory.find({ model_id: product._id }).lean();
+    expect(log.logs.map((l) => [l.field_name, l.change_type, l.from_value, l.to_value])).toEqual([
+      ['bins.qty', 'edit', '1', '2'],
+    ]);
+  });
+
+  it('does not shift items without a key when a keyed item is inserted before them', async () => {
+    const product = await Product.create({ bins: [{ qty: 1 }] });
+    await LogHistory.deleteMany({});
+
+    await Product.updateOne({ _id: product._id }, { $set: { bins: [{ code: 'new', qty: 9 }, { qty: 1 }] } });
+
+    const [log] = await LogHistory.find({ model_id: product._id }).lean();
+    expect(log.logs.map((l) => [l.field_name, l.change_type, l.from_value, l.to_value])).toEqual([
+      ['bins', 'add', null, 'new'],
+    ]);
+  });
+});
@@ -0,0 +1,86 @@
+require('../setup/mongodb');
+const mongoose = require('mongoose');
+const { changeLoggingPlugin, getLogHistoryModel } = require('../../dist');
+
+describe('mongoose-log-history plugin - Deep Diff Mode', () => {
+  let Customer;
+  let LogHistory;
+
+  beforeAll(() => {
+    const customerSchema = new mongoose.Schema({
+      address: mongoose.Schema.Types.Mixed,
+      billing: mongoose.Schema.Types.Mixed,
+      contacts: [{ email: String, preferences: mongoose.Schema.Types.Mixed }],
+    });
+
+    customerSchema.plugin(changeLoggingPlugin, {
+      modelName: 'CustomerDeepDiff',
+      trackedFields: [
+        { value: 'address', diffMode: 'deep' },
+        { value: 'billing' },
+        {
+          value: 'contacts',
+          arrayType: 'custom-key',
+          arrayKey: 'email',
+          trackedFields: [{ value: 'preferences', diffMode: 'deep' }],
+        },
+      ],
+      singleCollection: true,
+    });
+
+    Customer = mongoose.model('CustomerDeepDiff', customerSchema);
+    LogHistory = getLogHistoryModel('CustomerDeepDiff', true);
+  });
+
+  afterEach(async () => {
+    await Customer.deleteMany({});
+    await LogHistory.deleteMany({});
+  });
+
+  it('logs the changed leaves of an object instead of the whole object', async () => {
+    const customer = await Customer.create({
+      address: { city: 'Jakarta', zip: '12345', geo: { lat: 1 } },
+      billing: { city: 'Jakarta', zip: '12345' },
+    });
+    await LogHistory.deleteMany({});
+
+    await Customer.updateOne(
+      { _id: customer._id },
+      {
+        $set: {
+          address: { city: 'Bandung', geo: { lat: 1, lng: 2 } },
+          billing: { city: 'Bandung', zip: '12345' },
+        },
+      }
+    );
+
+    const [log] = await LogHistory.find({ model_id: customer._id }).lean();
+    expect(log.logs.map((l) => [l.field_name, l.change_type, l.from_value, l.to_value])).toEqual([
+      ['address.city', 'edit', 'Jakarta', 'Bandung'],
+      ['address.zip', 'remove', '12345', undefined],
+      ['address.geo.lng', 'add', undefined, '2'],
+      ['billing', 'edit', '{"city":"Jakarta","zip":"12345"}', '{"city":"Bandung","zip":"12345"}'],
+    ]);
+  });
+
+  it('diffs nested fields of custom-key array items deeply', async () => {
+    const customer = await Customer.create({
+      contacts: [{ email: 'a@x.io', preferences: { sms: true, email: true } }],
+    });
+    await LogHistory.deleteMany({});
+
+    customer.contacts[0].preferences = { sms: false, email: true };
+    customer.markModified('contacts.0.preferences');
+    await customer.save();
+
+    const [log] = await LogHistory.find({ model_id: customer._id }).lean();
+    expect(log.logs).toEqual([
+      expect.objectContaining({
+        field_name: 'contacts.preferences.sms',
+        from_value: 'true',
+        to_value: 'false',
+        change_type: 'edit',
+      }),
+    ]);
+  });
+});
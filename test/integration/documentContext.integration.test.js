@@ -0,0 +1,111 @@
+require('../setup/mongodb');
+const mongoose = require('mongoose');
+const { changeLoggingPlugin, getLogHistoryModel } = require('../../dist');
+
+describe('mongoose-log-history plugin - Context for save and insertMany', () => {
+  let Order;
+  let LogHistory;
+  let PlainOrder;
+
+  beforeAll(() => {
+    const orderSchema = new mongoose.Schema({
+      status: String,
+    });
+
+    orderSchema.plugin(changeLoggingPlugin, {
+      modelName: 'OrderDocumentContext',
+      trackedFields: [{ value: 'status' }],
+      contextFields: ['status', 'tenant.id'],
+      saveOperationContext: true,
+      singleCollection: true,
+    });
+
+    Order = mongoose.model('OrderDocumentContext', orderSchema);
+    LogHistory = getLogHistoryModel('OrderDocumentContext', true);
+
+    const plainOrderSchema = new mongoose.Schema({ status: String });
+    plainOrderSchema.plugin(changeLoggingPlugin, {
+      modelName: 'OrderDocumentContextPlain',
+      trackedFields: [{ value: 'status' }],
+      singleCollection: true,
+    });
+    PlainOrder = mongoose.model('OrderDocumentContextPlain', plainOrderSchema);
+  });
+
+  afterEach(async () => {
+    await Order.deleteMany({});
+    await PlainOrder.deleteMany({});
+    await LogHistory.deleteMany({});
+  });
+
+  it('reads the user and metadata of save() from $locals.logContext', async () => {
+    const order = new Order({ status: 'pending' });
+    order.$locals.logContext = { created_by: 'alice', requestId: 'req-1', tenant: { id: 't1' } };
+    await order.save();
+
+    const [log] = await LogHistory.find({ model_id: order._id }).lean();
+    expect(log.created_by).toBe('alice');
+    expect(log.context).toEqual({
+      requestId: 'req-1',
+      tenant: { id: 't1' },
+      doc: { status: 'pending', tenant: { id: 't1' } },
+    });
+  });
+
+  it('reads the context option of save()', async () => {
+    const order = await Order.create({ status: 'pending' });
+    await LogHistory.deleteMany({});
+
+    order.status = 'done';
+    await order.save({ context: { created_by: 'bob', requestId: 'req-2' } });
+
+    const [log] = await LogHistory.find({ model_id: order._id }).lean();
+    expect(log.created_by).toBe('bob');
+    expect(log.context).toEqual({ requestId: 'req-2' });
+  });
+
+  it('reads the context option of insertMany, extended per document by $locals.logContext', async () => {
+    const special = new Order({ status: 'b' });
+    special.$locals.logContext = { created_by: 'carol' };
+
+    const [plain] = await Order.insertMany([{ status: 'a' }, special], {
+      context: { created_by: 'bob', tenant: { id: 't2' } },
+    });
+
+    const plainLog = await LogHistory.findOne({ model_id: plain._id }).lean();
+    const specialLog = await LogHistory.findOne({ model_id: special._id }).lean();
+    expect(plainLog.created_by).toBe('bob');
+    expect(plainLog.context.doc).toEqual({ status: 'a', tenant: { id: 't2' } });
+    expect(specialLog.created_by).toBe('carol');
+    expect(specialLog.context.tenant).toEqual({ id: 't2' });
+  });
+
+  it('merges the query context option into the entry context', async () => {
+    const order = await Order.create({ status: 'pending' });
+    await LogHistory.deleteMany({});
+
+    await Order.updateOne(
+      { _id: order._id },
+      { $set: { status: 'done' } },
+      { context: { created_by: 'dave', requestId: 'req-3' } }
+    );
+
+    const [log] = await LogHistory.find({ model_id: order._id }).lean();
+    expect(log.created_by).toBe('dave');
+    expect(log.context).toEqual({ requestId: 'req-3' });
+  });
+
+  it('only reads the user from the operation context without saveOperationContext', async () => {
+    const order = await PlainOrder.create({ status: 'pending' });
+
+    await PlainOrder.updateOne(
+      { _id: order._id },
+      { $set: { status: 'done' } },
+      { context: { created_by: 'erin', apiKey: 'secret' } }
+    );
+
+    const log = await LogHistory.findOne({ model_id: order._id, change_type: 'update' }).lean();
+    expect(log.created_by).toBe('erin');
+    expect(log.context).toBeUndefined();
+  });
+});
@@ -0,0 +1,117 @@
+require('../setup/mongodb');
+const mongoose = require('mongoose');
+const { changeLoggingPlugin, getLogHistoryModel } = require('../../dist');
+
+describe('mongoose-log-history plugin - Dotted Update Paths', () => {
+  let Order;
+  let LogHistory;
+
+  beforeAll(() => {
+    const orderSchema = new mongoose.Schema({
+      status: String,
+      customer: {
+        name: String,
+        address: {
+          city: String,
+          zip: String,
+        },
+      },
+      meta: {
+        deleted: Boolean,
+        source: String,
+      },
+      items: [{ sku: String, qty: Number }],
+    });
+
+    orderSchema.plugin(changeLoggingPlugin, {
+      modelName: 'OrderDottedPaths',
+      trackedFields: [
+        { value: 'status' },
+        { value: 'customer.address.city' },
+        { value: 'customer.name' },
+        { value: 'items', arrayType: 'custom-key', arrayKey: 'sku', trackedFields: [{ value: 'qty' }] },
+      ],
+      contextFields: ['meta.source'],
+      singleCollection: true,
+      saveWholeDoc: true,
+      softDelete: {
+        field: 'meta.deleted',
+        value: true,
+      },
+    });
+
+    Order = mongoose.model('OrderDottedPaths', orderSchema);
+    LogHistory = getLogHistoryModel('OrderDottedPaths', true);
+  });
+
+  afterEach(async () => {
+    await Order.deleteMany({});
+    await LogHistory.deleteMany({});
+  });
+
+  it('stores a nested updated_doc for dotted $set paths', async () => {
+    const order = await Order.create({
+      status: 'pending',
+      customer: { name: 'Ann', address: { city: 'A', zip: '1' } },
+    });
+    await LogHistory.deleteMany({});
+
+    await Order.updateOne({ _id: order._id }, { $set: { 'customer.address.city': 'B' } });
+
+    const logs = await LogHistory.find({ model_id: order._id, change_type: 'update' }).lean();
+    expect(logs.length).toBe(1);
+    expect(logs[0].logs[0]).toMatchObject({ field_name: 'customer.address.city', from_value: 'A', to_value: 'B' });
+    expect(logs[0].updated_doc.customer).toEqual({ name: 'Ann', address: { city: 'B', zip: '1' } });
+    expect(logs[0].updated_doc['customer.address.city']).toBeUndefined();
+  });
+
+  it('logs removal for $unset of a nested field', async () => {
+    const order = await Order.create({ status: 'pending', customer: { name: 'Ann', address: { city: 'A' } } });
+    await LogHistory.deleteMany({});
+
+    await Order.updateOne({ _id: order._id }, { $unset: { 'customer.name': '' } });
+
+    const logs = await LogHistory.find({ model_id: order._id, change_type: 'update' }).lean();
+    expect(logs.length).toBe(1);
+    expect(logs[0].logs[0]).toMatchObject({ field_name: 'customer.name', from_value: 'Ann', change_type: 'remove' });
+    expect(logs[0].updated_doc.customer).toEqual({ address: { city: 'A' } });
+  });
+
+  it('logs array element updates by index', async () => {
+    const order = await Order.create({
+      items: [
+        { sku: 'a', qty: 1 },
+        { sku: 'b', qty: 2 },
+      ],
+    });
+    await LogHistory.deleteMany({});
+
+    await Order.updateOne({ _id: order._id }, { $set: { 'items.1.qty': 5 } });
+
+    const logs = await LogHistory.find({ model_id: order._id, change_type: 'update' }).lean();
+    expect(logs.length).toBe(1);
+    expect(logs[0].logs[0]).toMatchObject({ field_name: 'items.qty', from_value: '2', to_value: '5' });
+  });
+
+  it('detects soft deletes and context from nested paths', async () => {
+    const order = await Order.create({ status: 'pending', meta: { deleted: false, source: 'web' } });
+    await LogHistory.deleteMany({});
+
+    await Order.updateOne({ _id: order._id }, { $set: { 'meta.deleted': true } });
+
+    const logs = await LogHistory.find({ model_id: order._id }).lean();
+    expect(logs.length).toBe(1);
+    expect(logs[0].change_type).toBe('delete');
+    expect(logs[0].context).toEqual({ doc: { meta: { source: 'web' } } });
+  });
+
+  it('builds a nested document for upserts with dotted paths', async () => {
+    const id = new mongoose.Types.ObjectId();
+    await Order.updateOne({ _id: id }, { $set: { 'customer.address.city': 'C' } }, { upsert: true });
+
+    const logs = await LogHistory.find({ model_id: id }).lean();
+    expect(logs.length).toBe(1);
+    expect(logs[0].change_type).toBe('create');
+    expect(logs[0].updated_doc.customer).toEqual({ address: { city: 'C' } });
+  });
+});
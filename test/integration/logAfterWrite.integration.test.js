@@ -0,0 +1,135 @@
+require('../setup/mongodb');
+const mongoose = require('mongoose');
+const { changeLoggingPlugin, getLogHistoryModel } = require('../../dist');
+
+describe('mongoose-log-history plugin - Log After Write', () => {
+  let Order;
+  let LogHistory;
+
+  beforeAll(async () => {
+    const orderSchema = new mongoose.Schema({
+      code: { type: String, unique: true },
+      status: String,
+      qty: { type: Number, min: 0 },
+    });
+
+    orderSchema.plugin(changeLoggingPlugin, {
+      modelName: 'OrderLogAfterWrite',
+      trackedFields: [{ value: 'status' }, { value: 'qty' }],
+      singleCollection: true,
+      logAfterWrite: true,
+    });
+
+    Order = mongoose.model('OrderLogAfterWrite', orderSchema);
+    LogHistory = getLogHistoryModel('OrderLogAfterWrite', true);
+    await Order.init();
+  });
+
+  afterEach(async () => {
+    await Order.deleteMany({});
+    await LogHistory.deleteMany({});
+  });
+
+  it('logs successful create, update and delete operations', async () => {
+    const order = await Order.create({ code: 'A', status: 'pending' });
+    await Order.updateOne({ _id: order._id }, { $set: { status: 'done' } });
+    await Order.deleteOne({ _id: order._id });
+
+    const logs = await LogHistory.find({ model_id: order._id }).sort({ created_at: 1 }).lean();
+    expect(logs.map((log) => log.change_type)).toEqual(['create', 'update', 'delete']);
+    expect(logs.every((log) => log.is_failed === undefined)).toBe(true);
+  });
+
+  it('logs successful updateMany and findOneAndUpdate operations', async () => {
+    const [a, b] = await Order.insertMany([
+      { code: 'A', status: 'a' },
+      { code: 'B', status: 'a' },
+    ]);
+    await LogHistory.deleteMany({});
+
+    await Order.updateMany({}, { $set: { status: 'z' } });
+    await Order.findOneAndUpdate({ _id: a._id }, { $set: { status: 'y' } });
+
+    expect(await LogHistory.countDocuments({ model_id: a._id, change_type: 'update' })).toBe(2);
+    expect(await LogHistory.countDocuments({ model_id: b._id, change_type: 'update' })).toBe(1);
+  });
+
+  it('logs create for upserts', async () => {
+    const id = new mongoose.Types.ObjectId();
+    await Order.findOneAndUpdate({ _id: id }, { $set: { code: 'U', status: 'new' } }, { upsert: true });
+
+    const logs = await LogHistory.find({ model_id: id }).lean();
+    expect(logs.length).toBe(1);
+    expect(logs[0].change_type).toBe('create');
+  });
+
+  it('does not log when save fails validation', async () => {
+    const order = await Order.create({ code: 'A', status: 'pending', qty: 1 });
+    await LogHistory.deleteMany({});
+
+    order.status = 'done';
+    order.qty = -1;
+    await expect(order.save()).rejects.toThrow();
+
+    const logs = await LogHistory.find({ model_id: order._id }).lean();
+    expect(logs.length).toBe(0);
+  });
+
+  it('does not log when the write violates a unique index', async () => {
+    await Order.create({ code: 'A', status: 'pending' });
+    const other = await Order.create({ code: 'B', status: 'pending' });
+    await LogHistory.deleteMany({});
+
+    await expect(Order.updateOne({ _id: other._id }, { $set: { code: 'A', status: 'done' } })).rejects.toThrow();
+
+    const logs = await LogHistory.find({ model_id: other._id }).lean();
+    expect(logs.length).toBe(0);
+  });
+
+  it('logs failed writes with is_failed when logFailedWrites is enabled', async () => {
+    const schema = new mongoose.Schema({
+      code: { type: String, unique: true },
+      status: String,
+    });
+    schema.plugin(changeLoggingPlugin, {
+      modelName: 'OrderLogFailedWrites',
+      trackedFields: [{ value: 'status' }],
+      singleCollection: true,
+      logAfterWrite: true,
+      logFailedWrites: true,
+    });
+    const OrderFailed = mongoose.model('OrderLogFailedWrites', schema);
+    const FailedLogHistory = getLogHistoryModel('OrderLogFailedWrites', true);
+    await OrderFailed.init();
+
+    await OrderFailed.create({ code: 'A', status: 'pending' });
+    const other = await OrderFailed.create({ code: 'B', status: 'pending' });
+
+    await expect(OrderFailed.updateOne({ _id: other._id }, { $set: { code: 'A', status: 'done' } })).rejects.toThrow();
+
+    const logs = await FailedLogHistory.find({ model_id: other._id, change_type: 'update' }).lean();
+    expect(logs.length).toBe(1);
+    expect(logs[0].is_failed).toBe(true);
+    expect(logs[0].logs[0].to_value).toBe('done');
+  });
+
+  it('still logs in the pre hook when logAfterWrite is disabled', async () => {
+    const schema = new mongoose.Schema({ code: { type: String, unique: true }, status: String });
+    schema.plugin(changeLoggingPlugin, {
+      modelName: 'OrderLogBeforeWrite',
+      trackedFields: [{ value: 'status' }],
+      singleCollection: true,
+    });
+    const OrderBefore = mongoose.model('OrderLogBeforeWrite', schema);
+    const BeforeLogHistory = getLogHistoryModel('OrderLogBeforeWrite', true);
+    await OrderBefore.init();
+
+    await OrderBefore.create({ code: 'A', status: 'pending' });
+    const other = await OrderBefore.create({ code: 'B', status: 'pending' });
+
+    await expect(OrderBefore.updateOne({ _id: other._id }, { $set: { code: 'A', status: 'done' } })).rejects.toThrow();
+
+    const logs = await BeforeLogHistory.find({ model_id: other._id, change_type: 'update' }).lean();
+    expect(logs.length).toBe(1);
+  });
+});
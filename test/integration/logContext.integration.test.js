@@ -0,0 +1,85 @@
+require('../setup/mongodb');
+const mongoose = require('mongoose');
+const { changeLoggingPlugin, getLogHistoryModel, runWithLogContext } = require('../../dist');
+
+describe('mongoose-log-history plugin - Request-Scoped Log Context', () => {
+  let Order;
+  let LogHistory;
+
+  beforeAll(() => {
+    const orderSchema = new mongoose.Schema({
+      status: String,
+      created_by: String,
+    });
+
+    orderSchema.plugin(changeLoggingPlugin, {
+      modelName: 'OrderLogContext',
+      trackedFields: [{ value: 'status' }],
+      contextFields: ['status'],
+      singleCollection: true,
+    });
+
+    Order = mongoose.model('OrderLogContext', orderSchema);
+    LogHistory = getLogHistoryModel('OrderLogContext', true);
+  });
+
+  afterEach(async () => {
+    await Order.deleteMany({});
+    await LogHistory.deleteMany({});
+  });
+
+  it('attributes save and insertMany to the user of the log context', async () => {
+    await runWithLogContext({ user: 'alice', requestId: 'req-1' }, async () => {
+      await Order.create({ status: 'pending' });
+      await Order.insertMany([{ status: 'a' }, { status: 'b' }]);
+    });
+
+    const logs = await LogHistory.find({ model: 'OrderLogContext' }).lean();
+    expect(logs.length).toBe(3);
+    for (const log of logs) {
+      expect(log.created_by).toBe('alice');
+      expect(log.context).toMatchObject({ requestId: 'req-1', doc: { status: expect.any(String) } });
+      expect(log.context).not.toHaveProperty('user');
+    }
+  });
+
+  it('prefers the log context user over user fields of the document', async () => {
+    const order = await Order.create({ status: 'pending', created_by: 'creator' });
+    await LogHistory.deleteMany({});
+
+    await runWithLogContext({ user: 'editor', ip: '10.0.0.1' }, () =>
+      Order.updateOne({ _id: order._id }, { $set: { status: 'done' } })
+    );
+
+    const [log] = await LogHistory.find({ model_id: order._id }).lean();
+    expect(log.created_by).toBe('editor');
+    expect(log.context).toEqual({ ip: '10.0.0.1' });
+  });
+
+  it('prefers the query context user over the log context user', async () => {
+    const order = await Order.create({ status: 'pending' });
+    await LogHistory.deleteMany({});
+
+    await runWithLogContext({ user: 'editor' }, () =>
+      Order.deleteOne({ _id: order._id }, { context: { created_by: 'admin' } })
+    );
+
+    const [log] = await LogHistory.find({ model_id: order._id }).lean();
+    expect(log.created_by).toBe('admin');
+  });
+
+  it('merges nested log contexts and isolates concurrent requests', async () => {
+    await Promise.all([
+      runWithLogContext({ user: 'alice', requestId: 'req-1' }, () =>
+        runWithLogContext({ step: 'import' }, () => Order.create({ status: 'a' }))
+      ),
+      runWithLogContext({ user: 'bob', requestId: 'req-2' }, () => Order.create({ status: 'b' })),
+    ]);
+
+    const logs = await LogHistory.find({ model: 'OrderLogContext' }).lean();
+    const byUser = Object.fromEntries(logs.map((log) => [log.created_by, log]));
+    expect(byUser.alice.context).toMatchObject({ requestId: 'req-1', step: 'import' });
+    expect(byUser.bob.context).toMatchObject({ requestId: 'req-2' });
+    expect(byUser.bob.context).not.toHaveProperty('step');
+  });
+});
@@ -0,0 +1,82 @@
+require('../setup/mongodb');
+const mongoose = require('mongoose');
+const { changeLoggingPlugin, getLogHistoryModel, runWithLogContext } = require('../../dist');
+
+describe('mongoose-log-history plugin - Operation and Correlation IDs', () => {
+  let Order;
+  let LogHistory;
+
+  beforeAll(() => {
+    const orderSchema = new mongoose.Schema({
+      status: String,
+    });
+
+    orderSchema.plugin(changeLoggingPlugin, {
+      modelName: 'OrderOperationId',
+      trackedFields: [{ value: 'status' }],
+      singleCollection: true,
+      batchSize: 2,
+    });
+
+    Order = mongoose.model('OrderOperationId', orderSchema);
+    LogHistory = getLogHistoryModel('OrderOperationId', true);
+  });
+
+  afterEach(async () => {
+    await Order.deleteMany({});
+    await LogHistory.deleteMany({});
+  });
+
+  it('stamps every entry of one updateMany with the same operation_id', async () => {
+    await Order.insertMany([{ status: 'a' }, { status: 'b' }, { status: 'c' }]);
+    await LogHistory.deleteMany({});
+
+    await Order.updateMany({}, { $set: { status: 'done' } });
+    await Order.updateOne({}, { $set: { status: 'again' } });
+
+    const logs = await LogHistory.find({ model: 'OrderOperationId', operation: 'updateMany' }).lean();
+    expect(logs.length).toBe(3);
+    expect(new Set(logs.map((log) => String(log.operation_id))).size).toBe(1);
+
+    const [single] = await LogHistory.find({ model: 'OrderOperationId', operation: 'updateOne' }).lean();
+    expect(String(single.operation_id)).not.toBe(String(logs[0].operation_id));
+  });
+
+  it('records the kind of document and model writes', async () => {
+    const order = await Order.create({ status: 'pending' });
+    await Order.insertMany([{ status: 'a' }]);
+    await Order.bulkWrite([{ updateOne: { filter: { _id: order._id }, update: { $set: { status: 'done' } } } }]);
+    await Order.findOneAndUpdate({ _id: order._id }, { $set: { status: 'x' } });
+
+    const logs = await LogHistory.find({ model: 'OrderOperationId' }).sort({ created_at: 1 }).lean();
+    expect(logs.map((log) => log.operation)).toEqual(['save', 'insertMany', 'bulkWrite', 'findOneAndUpdate']);
+  });
+
+  it('stores the correlationId of the operation context and runWithLogContext', async () => {
+    const order = await Order.create({ status: 'pending' });
+    await LogHistory.deleteMany({});
+
+    await Order.updateOne(
+      { _id: order._id },
+      { $set: { status: 'done' } },
+      { context: { correlationId: 'req-1', source: 'api' } }
+    );
+    await runWithLogContext({ correlationId: 'req-2' }, () =>
+      Order.updateOne({ _id: order._id }, { $set: { status: 'archived' } })
+    );
+
+    const logs = await LogHistory.find({ model_id: order._id }).sort({ created_at: 1 }).lean();
+    expect(logs.map((log) => log.correlation_id)).toEqual(['req-1', 'req-2']);
+    expect(logs.map((log) => log.context)).toEqual([undefined, undefined]);
+  });
+
+  it('finds every entry of one operation with getHistoriesByOperation', async () => {
+    await Order.insertMany([{ status: 'a' }, { status: 'b' }]);
+    await Order.create({ status: 'c' });
+
+    const [entry] = await LogHistory.find({ model: 'OrderOperationId', operation: 'insertMany' }).lean();
+    const logs = await Order.getHistoriesByOperation(String(entry.operation_id));
+    expect(logs.length).toBe(2);
+    expect(logs.every((log) => log.operation === 'insertMany')).toBe(true);
+  });
+});
@@ -0,0 +1,81 @@
+require('../setup/mongodb');
+const mongoose = require('mongoose');
+const { changeLoggingPlugin, getLogHistoryModel, withoutLogHistory } = require('../../dist');
+
+describe('mongoose-log-history plugin - Logging Opt-Out', () => {
+  let Order;
+  let LogHistory;
+
+  beforeAll(() => {
+    const orderSchema = new mongoose.Schema({
+      status: String,
+    });
+
+    orderSchema.plugin(changeLoggingPlugin, {
+      modelName: 'OrderOptOut',
+      trackedFields: [{ value: 'status' }],
+      singleCollection: true,
+    });
+
+    Order = mongoose.model('OrderOptOut', orderSchema);
+    LogHistory = getLogHistoryModel('OrderOptOut', true);
+  });
+
+  afterEach(async () => {
+    await Order.deleteMany({});
+    await LogHistory.deleteMany({});
+  });
+
+  it('skips query operations with logHistory: false', async () => {
+    const order = await Order.create({ status: 'pending' });
+    await LogHistory.deleteMany({});
+
+    await Order.updateOne({ _id: order._id }, { $set: { status: 'done' } }, { logHistory: false });
+    await Order.updateMany({}, { $set: { status: 'archived' } }, { logHistory: false });
+    await Order.findOneAndUpdate({ _id: order._id }, { $set: { status: 'x' } }).setOptions({ logHistory: false });
+    await Order.deleteMany({}, { logHistory: false });
+
+    const count = await LogHistory.countDocuments({ model: 'OrderOptOut' });
+    expect(count).toBe(0);
+  });
+
+  it('skips save and insertMany documents with $locals.logHistory = false', async () => {
+    const order = new Order({ status: 'pending' });
+    order.$locals.logHistory = false;
+    await order.save();
+
+    const skipped = new Order({ status: 'a' });
+    skipped.$locals.logHistory = false;
+    const [, logged] = await Order.insertMany([skipped, new Order({ status: 'b' })]);
+
+    const logs = await LogHistory.find({ model: 'OrderOptOut' }).lean();
+    expect(logs.length).toBe(1);
+    expect(String(logs[0].model_id)).toBe(String(logged._id));
+  });
+
+  it('skips every write inside withoutLogHistory', async () => {
+    const result = await withoutLogHistory(async () => {
+      const order = await Order.create({ status: 'pending' });
+      await Order.updateOne({ _id: order._id }, { $set: { status: 'done' } });
+      await Order.bulkWrite([{ insertOne: { document: { status: 'new' } } }]);
+      return order;
+    });
+
+    expect(result.status).toBe('pending');
+    expect(await LogHistory.countDocuments({ model: 'OrderOptOut' })).toBe(0);
+
+    await Order.updateOne({ _id: result._id }, { $set: { status: 'logged' } });
+    expect(await LogHistory.countDocuments({ model: 'OrderOptOut' })).toBe(1);
+  });
+
+  it('keeps logging concurrent writes outside withoutLogHistory', async () => {
+    const [, logged] = await Promise.all([
+      withoutLogHistory(() => Order.create({ status: 'silent' })),
+      Order.create({ status: 'audited' }),
+    ]);
+
+    const logs = await LogHistory.find({ model: 'OrderOptOut' }).lean();
+    expect(logs.length).toBe(1);
+    expect(String(logs[0].model_id)).toBe(String(logged._id));
+  });
+});
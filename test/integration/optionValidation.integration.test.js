@@ -34,6 +34,50 @@ describe('mongoose-log-history plugin - Option Validation', () => {
     }).toThrow(/trackedFields/);
   });
 
+  it('accepts trackedFields set to all, and trackAll without trackedFields', () => {
+    const schema = new mongoose.Schema({ status: String });
+    expect(() => {
+      schema.plugin(changeLoggingPlugin, { modelName: 'Order', trackedFields: 'all' });
+      schema.plugin(changeLoggingPlugin, { modelName: 'Order', trackAll: true, excludeFields: ['status'] });
+    }).not.toThrow();
+  });
+
+  it('accepts schema paths with logHistory instead of trackedFields', () => {
+    const schema = new mongoose.Schema({ status: { type: String, logHistory: true } });
+    expect(() => {
+      schema.plugin(changeLoggingPlugin, { modelName: 'Order' });
+    }).not.toThrow();
+  });
+
+  it('throws if a logHistory schema option is invalid', () => {
+    expect(() => {
+      new mongoose.Schema({ status: { type: String, logHistory: 1 } }).plugin(changeLoggingPlugin, {
+        modelName: 'Order',
+      });
+    }).toThrow(/logHistory/);
+
+    expect(() => {
+      new mongoose.Schema({ status: { type: String, logHistory: { mask: true } } }).plugin(changeLoggingPlugin, {
+        modelName: 'Order',
+      });
+    }).toThrow(/mask/);
+  });
+
+  it('throws if trackAll is not a boolean or excludeFields is not an array of strings', () => {
+    const schema = new mongoose.Schema({ status: String });
+    expect(() => {
+      schema.plugin(changeLoggingPlugin, { modelName: 'Order', trackAll: 'yes' });
+    }).toThrow(/trackAll/);
+
+    expect(() => {
+      schema.plugin(changeLoggingPlugin, { modelName: 'Order', trackedFields: 'all', excludeFields: 'status' });
+    }).toThrow(/excludeFields/);
+
+    expect(() => {
+      schema.plugin(changeLoggingPlugin, { modelName: 'Order', trackedFields: 'all', excludeFields: [1] });
+    }).toThrow(/excludeFields/);
+  });
+
   it('throws if batchSize or maxBatchLog is not a positive integer', () => {
     const schema = new mongoose.Schema({ status: String });
     expect(() => {
@@ -130,6 +174,24 @@ describe('mongoose-log-history plugin - Option Validation', () => {
     }).toThrow(/trackedFields/);
   });
 
+  it('throws if arrayKey is not a string, an array of strings or a function', () => {
+    const schema = new mongoose.Schema({ items: [{ sku: String }] });
+    for (const arrayKey of [undefined, 1, [], ['sku', 2]]) {
+      expect(() => {
+        schema.plugin(changeLoggingPlugin, {
+          modelName: 'Order',
+          trackedFields: [{ value: 'items', arrayType: 'custom-key', arrayKey }],
+        });
+      }).toThrow(/arrayKey/);
+    }
+    expect(() => {
+      schema.plugin(changeLoggingPlugin, {
+        modelName: 'Order',
+        trackedFields: [{ value: 'items', arrayType: 'custom-key', arrayKey: (item) => item.sku }],
+      });
+    }).not.toThrow();
+  });
+
   it('throws if singleCollection or saveWholeDoc is not a boolean', () => {
     const schema = new mongoose.Schema({ status: String });
     expect(() => {
@@ -183,4 +245,122 @@ describe('mongoose-log-history plugin - Option Validation', () => {
       });
     }).toThrow(/mask/);
   });
+
+  it('throws if requireReason is not a boolean', () => {
+    const schema = new mongoose.Schema({ status: String });
+    expect(() => {
+      schema.plugin(changeLoggingPlugin, {
+        modelName: 'Order',
+        trackedFields: [{ value: 'status', requireReason: 'yes' }],
+      });
+    }).toThrow(/requireReason/);
+  });
+
+  it('throws if trackOrder is not a boolean', () => {
+    const schema = new mongoose.Schema({ tags: [String] });
+    expect(() => {
+      schema.plugin(changeLoggingPlugin, {
+        modelName: 'Order',
+        trackedFields: [{ value: 'tags', arrayType: 'simple', trackOrder: 'yes' }],
+      });
+    }).toThrow(/trackOrder/);
+  });
+
+  it('throws if diffMode is invalid', () => {
+    const schema = new mongoose.Schema({ address: Object });
+    expect(() => {
+      schema.plugin(changeLoggingPlugin, {
+        modelName: 'Order',
+        trackedFields: [{ value: 'address', diffMode: 'full' }],
+      });
+    }).toThrow(/diffMode/);
+  });
+
+  it('throws if logAfterWrite or logFailedWrites is not a boolean', () => {
+    const schema = new mongoose.Schema({ status: String });
+    expect(() => {
+      schema.plugin(changeLoggingPlugin, {
+        modelName: 'Order',
+        trackedFields: [{ value: 'status' }],
+        logAfterWrite: 'yes',
+      });
+    }).toThrow(/logAfterWrite/);
+
+    expect(() => {
+      schema.plugin(changeLoggingPlugin, {
+        modelName: 'Order',
+        trackedFields: [{ value: 'status' }],
+        logFailedWrites: 1,
+      });
+    }).toThrow(/logFailedWrites/);
+  });
+
+  it('throws if saveOperationContext is not a boolean', () => {
+    const schema = new mongoose.Schema({ status: String });
+    expect(() => {
+      schema.plugin(changeLoggingPlugin, {
+        modelName: 'Order',
+        trackedFields: [{ value: 'status' }],
+        saveOperationContext: 'yes',
+      });
+    }).toThrow(/saveOperationContext/);
+  });
+
+  it('throws if updateMode is invalid', () => {
+    const schema = new mongoose.Schema({ status: String });
+    expect(() => {
+      schema.plugin(changeLoggingPlugin, {
+        modelName: 'Order',
+        trackedFields: [{ value: 'status' }],
+        updateMode: 'replay',
+      });
+    }).toThrow(/updateMode/);
+  });
+
+  it('throws if onBatchOverflow is invalid', () => {
+    const schema = new mongoose.Schema({ status: String });
+    expect(() => {
+      schema.plugin(changeLoggingPlugin, {
+        modelName: 'Order',
+        trackedFields: [{ value: 'status' }],
+        onBatchOverflow: 'truncate',
+      });
+    }).toThrow(/onBatchOverflow/);
+  });
+
+  it('throws if a tracked field would drop the mask declared on a nested schema path', () => {
+    const schema = new mongoose.Schema({
+      customer: { name: String, ssn: { type: String, logHistory: { mask: '***' } } },
+    });
+    expect(() => {
+      schema.plugin(changeLoggingPlugin, {
+        modelName: 'Order',
+        trackedFields: [{ value: 'customer' }],
+      });
+    }).toThrow(/drop the mask of "customer\.ssn"/);
+  });
+
+  it('throws if onBatchOverflow is all with updateMode fetch', () => {
+    const schema = new mongoose.Schema({ status: String });
+    expect(() => {
+      schema.plugin(changeLoggingPlugin, {
+        modelName: 'Order',
+        trackedFields: [{ value: 'status' }],
+        updateMode: 'fetch',
+        onBatchOverflow: 'all',
+      });
+    }).toThrow(/cannot be "all" with updateMode "fetch"/);
+  });
+
+  it('throws if onBatchOverflow is all with logAfterWrite', () => {
+    const schema = new mongoose.Schema({ status: String });
+    expect(() => {
+      schema.plugin(changeLoggingPlugin, {
+        modelName: 'Order',
+        trackedFields: [{ value: 'status' }],
+        logAfterWrite: true,
+        onBatchOverflow: 'all',
+      });
+    }).toThrow(/cannot be "all" with logAfterWrite/);
+  });
 });
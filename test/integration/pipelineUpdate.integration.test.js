@@ -0,0 +1,147 @@
+require('../setup/mongodb');
+const mongoose = require('mongoose');
+const { changeLoggingPlugin, getLogHistoryModel } = require('../../dist');
+
+describe('mongoose-log-history plugin - Aggregation Pipeline Updates', () => {
+  let Order;
+  let LogHistory;
+
+  beforeAll(() => {
+    const orderSchema = new mongoose.Schema({
+      status: String,
+      subtotal: Number,
+      shipping: Number,
+      total: Number,
+      note: String,
+    });
+
+    orderSchema.plugin(changeLoggingPlugin, {
+      modelName: 'OrderPipelineUpdate',
+      trackedFields: [{ value: 'status' }, { value: 'total' }, { value: 'note' }],
+      singleCollection: true,
+      softDelete: {
+        field: 'status',
+        value: 'deleted',
+      },
+    });
+
+    Order = mongoose.model('OrderPipelineUpdate', orderSchema);
+    LogHistory = getLogHistoryModel('OrderPipelineUpdate', true);
+  });
+
+  afterEach(async () => {
+    await Order.deleteMany({});
+    await LogHistory.deleteMany({});
+  });
+
+  it('logs $set stages with expressions on untracked fields', async () => {
+    const order = await Order.create({ status: 'pending', subtotal: 10, shipping: 5, total: 0 });
+    await LogHistory.deleteMany({});
+
+    await Order.updateOne({ _id: order._id }, [{ $set: { total: { $add: ['$subtotal', '$shipping'] } } }]);
+
+    const logs = await LogHistory.find({ model_id: order._id, change_type: 'update' }).lean();
+    expect(logs.length).toBe(1);
+    expect(logs[0].logs[0]).toMatchObject({ field_name: 'total', from_value: '0', to_value: '15' });
+  });
+
+  it('logs $unset and $replaceWith stages', async () => {
+    const order = await Order.create({ status: 'pending', note: 'fragile', total: 1 });
+    await LogHistory.deleteMany({});
+
+    await Order.updateOne({ _id: order._id }, [{ $unset: 'note' }]);
+    await Order.findOneAndUpdate({ _id: order._id }, [{ $replaceWith: { status: 'done', total: 2 } }]);
+
+    const logs = await LogHistory.find({ model_id: order._id, change_type: 'update' }).sort({ created_at: 1 }).lean();
+    expect(logs.length).toBe(2);
+    expect(logs[0].logs[0]).toMatchObject({ field_name: 'note', from_value: 'fragile', change_type: 'remove' });
+    expect(logs[1].logs.map((log) => log.field_name).sort()).toEqual(['status', 'total']);
+  });
+
+  it('logs each document of updateMany pipelines', async () => {
+    const [a, b] = await Order.insertMany([
+      { status: 'a', subtotal: 1, shipping: 1 },
+      { status: 'b', subtotal: 2, shipping: 2 },
+    ]);
+    await LogHistory.deleteMany({});
+
+    await Order.updateMany({}, [{ $addFields: { total: { $multiply: ['$subtotal', '$shipping'] } } }]);
+
+    const logsA = await LogHistory.find({ model_id: a._id, change_type: 'update' }).lean();
+    const logsB = await LogHistory.find({ model_id: b._id, change_type: 'update' }).lean();
+    expect(logsA[0].logs[0].to_value).toBe('1');
+    expect(logsB[0].logs[0].to_value).toBe('4');
+  });
+
+  it('logs soft deletes made by a pipeline', async () => {
+    const order = await Order.create({ status: 'pending' });
+    await LogHistory.deleteMany({});
+
+    await Order.updateOne({ _id: order._id }, [{ $set: { status: { $literal: 'deleted' } } }]);
+
+    const logs = await LogHistory.find({ model_id: order._id }).lean();
+    expect(logs.length).toBe(1);
+    expect(logs[0].change_type).toBe('delete');
+  });
+
+  it('logs create for pipeline upserts', async () => {
+    const id = new mongoose.Types.ObjectId();
+    await Order.updateOne({ _id: id }, [{ $set: { status: 'new', total: { $add: [1, 2] } } }], { upsert: true });
+
+    const logs = await LogHistory.find({ model_id: id }).lean();
+    expect(logs.length).toBe(1);
+    expect(logs[0].change_type).toBe('create');
+  });
+
+  it('logs pipeline updates in bulkWrite', async () => {
+    const order = await Order.create({ status: 'pending', subtotal: 3, shipping: 4 });
+    await LogHistory.deleteMany({});
+
+    await Order.bulkWrite([
+      {
+        updateOne: { filter: { _id: order._id }, update: [{ $set: { total: { $add: ['$subtotal', '$shipping'] } } }] },
+      },
+    ]);
+
+    const logs = await LogHistory.find({ model_id: order._id, change_type: 'update' }).lean();
+    expect(logs.length).toBe(1);
+    expect(logs[0].logs[0]).toMatchObject({ field_name: 'total', to_value: '7', change_type: 'add' });
+  });
+
+  it('runs bulkWrite pipeline updates on the documents written by the earlier operations', async () => {
+    const id = new mongoose.Types.ObjectId();
+    const order = await Order.create({ status: 'pending', subtotal: 3, shipping: 4 });
+    await LogHistory.deleteMany({});
+
+    await Order.bulkWrite([
+      { insertOne: { document: { _id: id, status: 'new', subtotal: 1, shipping: 2, total: 0 } } },
+      { updateOne: { filter: { _id: order._id }, update: { $set: { total: 10 } } } },
+      { updateMany: { filter: {}, update: [{ $set: { total: { $add: ['$total', '$subtotal', '$shipping'] } } }] } },
+    ]);
+
+    const inserted = await LogHistory.find({ model_id: id, change_type: 'update' }).lean();
+    expect(inserted.length).toBe(1);
+    expect(inserted[0].logs[0]).toMatchObject({
+      field_name: 'total',
+      from_value: '0',
+      to_value: '3',
+      change_type: 'edit',
+    });
+
+    const updated = await LogHistory.find({ model_id: order._id, change_type: 'update' }).sort({ _id: 1 }).lean();
+    expect(updated.map((log) => [log.logs[0].from_value, log.logs[0].to_value])).toEqual([
+      [null, '10'],
+      ['10', '17'],
+    ]);
+  });
+
+  it('does not log pipelines that leave tracked fields unchanged', async () => {
+    const order = await Order.create({ status: 'pending', subtotal: 1 });
+    await LogHistory.deleteMany({});
+
+    await Order.updateOne({ _id: order._id }, [{ $set: { subtotal: { $add: ['$subtotal', 1] } } }]);
+
+    const logs = await LogHistory.find({ model_id: order._id }).lean();
+    expect(logs.length).toBe(0);
+  });
+});
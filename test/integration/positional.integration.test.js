@@ -0,0 +1,123 @@
+require('../setup/mongodb');
+const mongoose = require('mongoose');
+const { changeLoggingPlugin, getLogHistoryModel } = require('../../dist');
+
+describe('mongoose-log-history plugin - Positional Operators', () => {
+  let Order;
+  let LogHistory;
+
+  beforeAll(() => {
+    const orderSchema = new mongoose.Schema({
+      status: String,
+      tags: [String],
+      items: [
+        {
+          sku: String,
+          qty: Number,
+          price: Number,
+        },
+      ],
+    });
+
+    orderSchema.plugin(changeLoggingPlugin, {
+      modelName: 'OrderPositional',
+      trackedFields: [
+        { value: 'tags', arrayType: 'simple' },
+        {
+          value: 'items',
+          arrayType: 'custom-key',
+          arrayKey: 'sku',
+          trackedFields: [{ value: 'qty' }, { value: 'price' }],
+        },
+      ],
+      singleCollection: true,
+    });
+
+    Order = mongoose.model('OrderPositional', orderSchema);
+    LogHistory = getLogHistoryModel('OrderPositional', true);
+  });
+
+  afterEach(async () => {
+    await Order.deleteMany({});
+    await LogHistory.deleteMany({});
+  });
+
+  const createOrder = async () => {
+    const order = await Order.create({
+      status: 'pending',
+      tags: ['a', 'b'],
+      items: [
+        { sku: 'A', qty: 1, price: 10 },
+        { sku: 'B', qty: 2, price: 20 },
+        { sku: 'C', qty: 3, price: 30 },
+      ],
+    });
+    await LogHistory.deleteMany({});
+    return order;
+  };
+
+  it('resolves the $ operator from the query filter', async () => {
+    const order = await createOrder();
+
+    await Order.updateOne({ _id: order._id, 'items.sku': 'B' }, { $set: { 'items.$.qty': 5 } });
+
+    const logs = await LogHistory.find({ model_id: order._id }).lean();
+    expect(logs.length).toBe(1);
+    expect(logs[0].logs).toEqual([
+      expect.objectContaining({ field_name: 'items.qty', from_value: '2', to_value: '5', change_type: 'edit' }),
+    ]);
+  });
+
+  it('resolves the $ operator on simple arrays', async () => {
+    const order = await createOrder();
+
+    await Order.updateOne({ _id: order._id, tags: 'b' }, { $set: { 'tags.$': 'z' } });
+
+    const logs = await LogHistory.find({ model_id: order._id }).lean();
+    expect(logs[0].logs.map((log) => log.change_type).sort()).toEqual(['add', 'remove']);
+  });
+
+  it('resolves the $[] operator for every element', async () => {
+    const order = await createOrder();
+
+    await Order.updateOne({ _id: order._id }, { $inc: { 'items.$[].qty': 1 } });
+
+    const logs = await LogHistory.find({ model_id: order._id }).lean();
+    expect(logs[0].logs.map((log) => log.to_value).sort()).toEqual(['2', '3', '4']);
+  });
+
+  it('resolves $[identifier] operators with arrayFilters', async () => {
+    const order = await createOrder();
+
+    await Order.updateOne(
+      { _id: order._id },
+      { $set: { 'items.$[i].price': 9 } },
+      { arrayFilters: [{ 'i.price': { $gte: 20 } }] }
+    );
+
+    const logs = await LogHistory.find({ model_id: order._id }).lean();
+    expect(logs[0].logs.length).toBe(2);
+    expect(logs[0].logs.map((log) => log.from_value).sort()).toEqual(['20', '30']);
+    expect(logs[0].logs.every((log) => log.field_name === 'items.price' && log.to_value === '9')).toBe(true);
+  });
+
+  it('resolves positional operators in updateMany and bulkWrite', async () => {
+    const order = await createOrder();
+
+    await Order.updateMany({ 'items.sku': 'A' }, { $set: { 'items.$.qty': 7 } });
+    await Order.bulkWrite([
+      {
+        updateOne: {
+          filter: { _id: order._id },
+          update: { $set: { 'items.$[i].qty': 8 } },
+          arrayFilters: [{ 'i.sku': 'C' }],
+        },
+      },
+    ]);
+
+    const logs = await LogHistory.find({ model_id: order._id }).sort({ created_at: 1 }).lean();
+    expect(logs.length).toBe(2);
+    expect(logs[0].logs[0]).toMatchObject({ from_value: '1', to_value: '7' });
+    expect(logs[1].logs[0]).toMatchObject({ from_value: '3', to_value: '8' });
+  });
+});
@@ -0,0 +1,100 @@
+require('../setup/mongodb');
+const mongoose = require('mongoose');
+const { changeLoggingPlugin, getLogHistoryModel } = require('../../dist');
+
+describe('mongoose-log-history plugin - $push Modifiers', () => {
+  let Order;
+  let LogHistory;
+
+  beforeAll(() => {
+    const orderSchema = new mongoose.Schema({
+      events: [String],
+      scores: [Number],
+      items: [
+        {
+          sku: String,
+          qty: Number,
+        },
+      ],
+    });
+
+    orderSchema.plugin(changeLoggingPlugin, {
+      modelName: 'OrderPushModifiers',
+      trackedFields: [
+        { value: 'events', arrayType: 'simple' },
+        { value: 'scores', arrayType: 'simple' },
+        { value: 'items', arrayType: 'custom-key', arrayKey: 'sku', valueField: 'qty' },
+      ],
+      singleCollection: true,
+    });
+
+    Order = mongoose.model('OrderPushModifiers', orderSchema);
+    LogHistory = getLogHistoryModel('OrderPushModifiers', true);
+  });
+
+  afterEach(async () => {
+    await Order.deleteMany({});
+    await LogHistory.deleteMany({});
+  });
+
+  it('logs items evicted by a negative $slice as removed', async () => {
+    const order = await Order.create({ events: ['e1', 'e2', 'e3'] });
+    await LogHistory.deleteMany({});
+
+    await Order.updateOne({ _id: order._id }, { $push: { events: { $each: ['e4'], $slice: -3 } } });
+
+    const logs = await LogHistory.find({ model_id: order._id, change_type: 'update' }).lean();
+    expect(logs.length).toBe(1);
+    expect(logs[0].logs).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ field_name: 'events', to_value: 'e4', change_type: 'add' }),
+        expect.objectContaining({ field_name: 'events', from_value: 'e1', change_type: 'remove' }),
+      ])
+    );
+    expect(logs[0].logs.length).toBe(2);
+  });
+
+  it('does not log phantom additions trimmed by $slice', async () => {
+    const order = await Order.create({ events: ['e1', 'e2'] });
+    await LogHistory.deleteMany({});
+
+    await Order.updateOne({ _id: order._id }, { $push: { events: { $each: ['e3'], $position: 2, $slice: 2 } } });
+
+    const logs = await LogHistory.find({ model_id: order._id }).lean();
+    expect(logs.length).toBe(0);
+  });
+
+  it('applies $sort before $slice', async () => {
+    const order = await Order.create({ scores: [50, 90] });
+    await LogHistory.deleteMany({});
+
+    await Order.updateOne({ _id: order._id }, { $push: { scores: { $each: [70, 10], $sort: -1, $slice: 3 } } });
+
+    const logs = await LogHistory.find({ model_id: order._id, change_type: 'update' }).lean();
+    expect(logs[0].logs.map((log) => log.to_value)).toEqual(['70']);
+    expect(await Order.findById(order._id).lean()).toMatchObject({ scores: [90, 70, 50] });
+  });
+
+  it('applies $sort on document fields for custom-key arrays', async () => {
+    const order = await Order.create({
+      items: [
+        { sku: 'A', qty: 5 },
+        { sku: 'B', qty: 1 },
+      ],
+    });
+    await LogHistory.deleteMany({});
+
+    await Order.updateOne(
+      { _id: order._id },
+      { $push: { items: { $each: [{ sku: 'C', qty: 3 }], $sort: { qty: -1 }, $slice: 2 } } }
+    );
+
+    const logs = await LogHistory.find({ model_id: order._id, change_type: 'update' }).lean();
+    expect(logs[0].logs).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ field_name: 'items', to_value: '3', change_type: 'add' }),
+        expect.objectContaining({ field_name: 'items', from_value: '1', change_type: 'remove' }),
+      ])
+    );
+  });
+});
@@ -0,0 +1,79 @@
+require('../setup/mongodb');
+const mongoose = require('mongoose');
+const { changeLoggingPlugin, getLogHistoryModel } = require('../../dist');
+
+describe('mongoose-log-history plugin - Replacement Operations', () => {
+  let Order;
+  let LogHistory;
+
+  beforeAll(() => {
+    const orderSchema = new mongoose.Schema({
+      status: String,
+      note: String,
+      priority: { type: String, default: 'normal' },
+    });
+
+    orderSchema.plugin(changeLoggingPlugin, {
+      modelName: 'OrderReplacement',
+      trackedFields: [{ value: 'status' }, { value: 'note' }, { value: 'priority' }],
+      singleCollection: true,
+      saveWholeDoc: true,
+    });
+
+    Order = mongoose.model('OrderReplacement', orderSchema);
+    LogHistory = getLogHistoryModel('OrderReplacement', true);
+  });
+
+  afterEach(async () => {
+    await Order.deleteMany({});
+    await LogHistory.deleteMany({});
+  });
+
+  it('logs fields missing from the replacement as removed', async () => {
+    const order = await Order.create({ status: 'pending', note: 'fragile', priority: 'high' });
+    await LogHistory.deleteMany({});
+
+    await Order.replaceOne({ _id: order._id }, { status: 'done' });
+
+    const logs = await LogHistory.find({ model_id: order._id, change_type: 'update' }).lean();
+    expect(logs.length).toBe(1);
+    const byField = Object.fromEntries(logs[0].logs.map((log) => [log.field_name, log]));
+    expect(byField.status).toMatchObject({ from_value: 'pending', to_value: 'done', change_type: 'edit' });
+    expect(byField.note).toMatchObject({ from_value: 'fragile', change_type: 'remove' });
+    expect(byField.priority).toMatchObject({ from_value: 'high', to_value: 'normal', change_type: 'edit' });
+  });
+
+  it('stores the replacement with the preserved _id as updated_doc', async () => {
+    const order = await Order.create({ status: 'pending', note: 'fragile' });
+    await LogHistory.deleteMany({});
+
+    await Order.findOneAndReplace({ _id: order._id }, { status: 'done' });
+
+    const logs = await LogHistory.find({ model_id: order._id, change_type: 'update' }).lean();
+    expect(logs.length).toBe(1);
+    expect(String(logs[0].updated_doc._id)).toBe(String(order._id));
+    expect(logs[0].updated_doc.status).toBe('done');
+    expect(logs[0].updated_doc).not.toHaveProperty('note');
+  });
+
+  it('logs create for upserted replacements with the _id from the filter', async () => {
+    const id = new mongoose.Types.ObjectId();
+    await Order.replaceOne({ _id: id }, { status: 'new' }, { upsert: true });
+
+    const logs = await LogHistory.find({ model_id: id }).lean();
+    expect(logs.length).toBe(1);
+    expect(logs[0].change_type).toBe('create');
+  });
+
+  it('applies replacement semantics to bulkWrite replaceOne', async () => {
+    const order = await Order.create({ status: 'pending', note: 'fragile' });
+    await LogHistory.deleteMany({});
+
+    await Order.bulkWrite([{ replaceOne: { filter: { _id: order._id }, replacement: { status: 'done' } } }]);
+
+    const logs = await LogHistory.find({ model_id: order._id, change_type: 'update' }).lean();
+    expect(logs.length).toBe(1);
+    const noteLog = logs[0].logs.find((log) => log.field_name === 'note');
+    expect(noteLog).toMatchObject({ from_value: 'fragile', change_type: 'remove' });
+  });
+});
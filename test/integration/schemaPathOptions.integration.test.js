@@ -0,0 +1,61 @@
+require('../setup/mongodb');
+const mongoose = require('mongoose');
+const { changeLoggingPlugin, getLogHistoryModel } = require('../../dist');
+
+describe('mongoose-log-history plugin - Schema Path Options', () => {
+  let Order;
+  let LogHistory;
+
+  beforeAll(() => {
+    const itemSchema = new mongoose.Schema({
+      sku: String,
+      qty: { type: Number, logHistory: true },
+      note: String,
+    });
+
+    const orderSchema = new mongoose.Schema({
+      status: { type: String, logHistory: true },
+      ssn: { type: String, logHistory: { mask: '***' } },
+      items: [{ type: itemSchema, logHistory: { arrayKey: 'sku' } }],
+      note: String,
+    });
+
+    orderSchema.plugin(changeLoggingPlugin, {
+      modelName: 'OrderSchemaPathOptions',
+      trackedFields: [{ value: 'note' }],
+      singleCollection: true,
+    });
+
+    Order = mongoose.model('OrderSchemaPathOptions', orderSchema);
+    LogHistory = getLogHistoryModel('OrderSchemaPathOptions', true);
+  });
+
+  afterEach(async () => {
+    await Order.deleteMany({});
+    await LogHistory.deleteMany({});
+  });
+
+  it('tracks the declared schema paths merged with trackedFields', async () => {
+    const order = await Order.create({
+      status: 'pending',
+      ssn: '123',
+      items: [{ sku: 'a', qty: 1, note: 'x' }],
+      note: 'first',
+    });
+    await LogHistory.deleteMany({});
+
+    order.status = 'done';
+    order.ssn = '456';
+    order.items[0].qty = 2;
+    order.items[0].note = 'y';
+    order.note = 'second';
+    await order.save();
+
+    const logs = await LogHistory.find({ model_id: order._id }).lean();
+    expect(logs.length).toBe(1);
+    const byField = Object.fromEntries(logs[0].logs.map((log) => [log.field_name, log]));
+    expect(Object.keys(byField).sort()).toEqual(['items.qty', 'note', 'ssn', 'status']);
+    expect(byField.ssn).toMatchObject({ from_value: '***', to_value: '***' });
+    expect(byField['items.qty']).toMatchObject({ from_value: '1', to_value: '2' });
+  });
+});
@@ -0,0 +1,66 @@
+require('../setup/mongodb');
+const mongoose = require('mongoose');
+const { changeLoggingPlugin, getLogHistoryModel } = require('../../dist');
+
+describe('mongoose-log-history plugin - Track All Schema Paths', () => {
+  let Order;
+  let LogHistory;
+
+  beforeAll(() => {
+    const orderSchema = new mongoose.Schema(
+      {
+        status: String,
+        tags: [String],
+        items: [{ sku: String, qty: Number }],
+        customer: { name: String, passwordHash: String },
+      },
+      { timestamps: true }
+    );
+
+    orderSchema.plugin(changeLoggingPlugin, {
+      modelName: 'OrderTrackAll',
+      trackAll: true,
+      excludeFields: ['customer.passwordHash'],
+      trackedFields: [{ value: 'status', requireReason: true }],
+      singleCollection: true,
+    });
+
+    Order = mongoose.model('OrderTrackAll', orderSchema);
+    LogHistory = getLogHistoryModel('OrderTrackAll', true);
+  });
+
+  afterEach(async () => {
+    await Order.deleteMany({});
+    await LogHistory.deleteMany({});
+  });
+
+  it('logs changes of every schema path except excluded fields and timestamps', async () => {
+    const order = await Order.create({
+      status: 'pending',
+      tags: ['a'],
+      items: [{ sku: 'x', qty: 1 }],
+      customer: { name: 'Ann', passwordHash: 'h1' },
+    });
+    await LogHistory.deleteMany({});
+
+    await Order.updateOne(
+      { _id: order._id },
+      {
+        $set: { 'customer.name': 'Bob', 'customer.passwordHash': 'h2', 'items.0.qty': 2 },
+        $push: { tags: 'b' },
+      }
+    );
+
+    const logs = await LogHistory.find({ model_id: order._id }).lean();
+    expect(logs.length).toBe(1);
+    expect(logs[0].logs.map((log) => log.field_name).sort()).toEqual(['customer.name', 'items.qty', 'tags']);
+  });
+
+  it('applies the given trackedFields over the derived ones', async () => {
+    const order = await Order.create({ status: 'pending' });
+
+    await expect(Order.updateOne({ _id: order._id }, { $set: { status: 'done' } })).rejects.toThrow(
+      /reason is required/
+    );
+  });
+});
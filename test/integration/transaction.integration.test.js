@@ -0,0 +1,109 @@
+require('../setup/mongodb');
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const { changeLoggingPlugin, getLogHistoryModel } = require('../../dist');
+
+describe('mongoose-log-history plugin - Transactions', () => {
+  let replSet;
+  let Order;
+  let LogHistory;
+
+  beforeAll(async () => {
+    await mongoose.disconnect();
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+    await mongoose.connect(replSet.getUri());
+
+    const orderSchema = new mongoose.Schema({
+      status: String,
+    });
+
+    orderSchema.plugin(changeLoggingPlugin, {
+      modelName: 'OrderTransaction',
+      trackedFields: [{ value: 'status' }],
+      singleCollection: true,
+    });
+
+    Order = mongoose.model('OrderTransaction', orderSchema);
+    LogHistory = getLogHistoryModel('OrderTransaction', true);
+    await Order.createCollection();
+    await LogHistory.createCollection();
+  });
+
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await replSet.stop();
+  });
+
+  afterEach(async () => {
+    await Order.deleteMany({});
+    await LogHistory.deleteMany({});
+  });
+
+  it('commits log entries together with the transaction', async () => {
+    const session = await mongoose.startSession();
+    let order;
+    await session.withTransaction(async () => {
+      [order] = await Order.create([{ status: 'pending' }], { session });
+      await Order.updateOne({ _id: order._id }, { $set: { status: 'done' } }, { session });
+    });
+    await session.endSession();
+
+    const logs = await LogHistory.find({ model_id: order._id }).lean();
+    expect(logs.map((log) => log.change_type).sort()).toEqual(['create', 'update']);
+  });
+
+  it('rolls log entries back with an aborted transaction', async () => {
+    const order = await Order.create({ status: 'pending' });
+    await LogHistory.deleteMany({});
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    await Order.updateOne({ _id: order._id }, { $set: { status: 'done' } }, { session });
+    await Order.deleteMany({}, { session });
+    await Order.insertMany([{ status: 'new' }], { session });
+    await session.abortTransaction();
+    await session.endSession();
+
+    const logs = await LogHistory.find({}).lean();
+    expect(logs.length).toBe(0);
+  });
+
+  it('reads uncommitted changes of the transaction as the original document', async () => {
+    const order = await Order.create({ status: 'pending' });
+    await LogHistory.deleteMany({});
+
+    const session = await mongoose.startSession();
+    await session.withTransaction(async () => {
+      await Order.updateOne({ _id: order._id }, { $set: { status: 'processing' } }, { session });
+      await Order.updateOne({ _id: order._id }, { $set: { status: 'done' } }, { session });
+    });
+    await session.endSession();
+
+    const logs = await LogHistory.find({ model_id: order._id }).sort({ created_at: 1 }).lean();
+    expect(logs.length).toBe(2);
+    expect(logs[1].logs[0].from_value).toBe('processing');
+    expect(logs[1].logs[0].to_value).toBe('done');
+  });
+
+  it('passes the session of a document save to the log history saver', async () => {
+    const saver = jest.fn();
+    const schema = new mongoose.Schema({ status: String });
+    schema.plugin(changeLoggingPlugin, {
+      modelName: 'OrderTransactionSaver',
+      trackedFields: [{ value: 'status' }],
+      logHistorySaver: saver,
+    });
+    const OrderSaver = mongoose.model('OrderTransactionSaver', schema);
+    await OrderSaver.createCollection();
+
+    const session = await mongoose.startSession();
+    await session.withTransaction(async () => {
+      const order = new OrderSaver({ status: 'pending' });
+      await order.save({ session });
+    });
+    await session.endSession();
+
+    expect(saver).toHaveBeenCalledTimes(1);
+    expect(saver.mock.calls[0][2].session).toBe(session);
+  });
+});
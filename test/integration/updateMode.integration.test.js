@@ -0,0 +1,139 @@
+require('../setup/mongodb');
+const mongoose = require('mongoose');
+const { changeLoggingPlugin, getLogHistoryModel } = require('../../dist');
+
+describe('mongoose-log-history plugin - Update Mode (fetch)', () => {
+  let Order;
+  let LogHistory;
+
+  beforeAll(() => {
+    const orderSchema = new mongoose.Schema({
+      status: { type: String, set: (value) => (typeof value === 'string' ? value.toLowerCase() : value) },
+      qty: Number,
+      tags: [String],
+    });
+
+    orderSchema.plugin(changeLoggingPlugin, {
+      modelName: 'OrderUpdateMode',
+      trackedFields: [{ value: 'status' }, { value: 'qty' }, { value: 'tags', arrayType: 'simple' }],
+      singleCollection: true,
+      updateMode: 'fetch',
+      softDelete: {
+        field: 'status',
+        value: 'deleted',
+      },
+    });
+
+    Order = mongoose.model('OrderUpdateMode', orderSchema);
+    LogHistory = getLogHistoryModel('OrderUpdateMode', true);
+  });
+
+  afterEach(async () => {
+    await Order.deleteMany({});
+    await LogHistory.deleteMany({});
+  });
+
+  it('logs the value actually stored by MongoDB', async () => {
+    const order = await Order.create({ status: 'pending', qty: 1 });
+    await LogHistory.deleteMany({});
+
+    await Order.updateOne({ _id: order._id }, { $set: { status: 'DONE', qty: '5' } });
+
+    const logs = await LogHistory.find({ model_id: order._id, change_type: 'update' }).lean();
+    expect(logs.length).toBe(1);
+    const statusLog = logs[0].logs.find((log) => log.field_name === 'status');
+    const qtyLog = logs[0].logs.find((log) => log.field_name === 'qty');
+    expect(statusLog.to_value).toBe('done');
+    expect(qtyLog.to_value).toBe('5');
+  });
+
+  it('logs array operators from the stored result', async () => {
+    const order = await Order.create({ status: 'pending', tags: ['a', 'b'] });
+    await LogHistory.deleteMany({});
+
+    await Order.updateOne({ _id: order._id }, { $addToSet: { tags: { $each: ['b', 'c'] } } });
+
+    const logs = await LogHistory.find({ model_id: order._id, change_type: 'update' }).lean();
+    expect(logs.length).toBe(1);
+    expect(logs[0].logs.length).toBe(1);
+    expect(logs[0].logs[0]).toMatchObject({ field_name: 'tags', to_value: 'c', change_type: 'add' });
+  });
+
+  it('logs each document of updateMany', async () => {
+    const [a, b] = await Order.insertMany([
+      { status: 'a', qty: 1 },
+      { status: 'b', qty: 2 },
+    ]);
+    await LogHistory.deleteMany({});
+
+    await Order.updateMany({}, { $inc: { qty: 10 } });
+
+    const logsA = await LogHistory.find({ model_id: a._id, change_type: 'update' }).lean();
+    const logsB = await LogHistory.find({ model_id: b._id, change_type: 'update' }).lean();
+    expect(logsA[0].logs[0].to_value).toBe('11');
+    expect(logsB[0].logs[0].to_value).toBe('12');
+  });
+
+  it('logs findOneAndUpdate with both new and original document results', async () => {
+    const order = await Order.create({ status: 'pending' });
+    await LogHistory.deleteMany({});
+
+    await Order.findOneAndUpdate({ _id: order._id }, { $set: { status: 'processing' } }, { new: true });
+    await Order.findOneAndUpdate({ _id: order._id }, { $set: { status: 'done' } });
+
+    const logs = await LogHistory.find({ model_id: order._id, change_type: 'update' }).sort({ created_at: 1 }).lean();
+    expect(logs.length).toBe(2);
+    expect(logs[0].logs[0]).toMatchObject({ from_value: 'pending', to_value: 'processing' });
+    expect(logs[1].logs[0]).toMatchObject({ from_value: 'processing', to_value: 'done' });
+  });
+
+  it('reads the updated document when findOneAndUpdate has a projection', async () => {
+    const order = await Order.create({ status: 'pending', qty: 1 });
+    await LogHistory.deleteMany({});
+
+    await Order.findOneAndUpdate(
+      { _id: order._id },
+      { $set: { status: 'processing', qty: 5 } },
+      { new: true, projection: { status: 1 } }
+    );
+
+    const logs = await LogHistory.find({ model_id: order._id, change_type: 'update' }).lean();
+    expect(logs.length).toBe(1);
+    expect(logs[0].logs.length).toBe(2);
+    expect(logs[0].logs.find((log) => log.field_name === 'qty')).toMatchObject({
+      change_type: 'edit',
+      from_value: '1',
+      to_value: '5',
+    });
+  });
+
+  it('logs create for upserts', async () => {
+    const id = new mongoose.Types.ObjectId();
+    await Order.updateOne({ _id: id }, { $set: { status: 'NEW' } }, { upsert: true });
+
+    const logs = await LogHistory.find({ model_id: id }).lean();
+    expect(logs.length).toBe(1);
+    expect(logs[0].change_type).toBe('create');
+  });
+
+  it('logs soft deletes', async () => {
+    const order = await Order.create({ status: 'pending' });
+    await LogHistory.deleteMany({});
+
+    await Order.updateOne({ _id: order._id }, { $set: { status: 'deleted' } });
+
+    const logs = await LogHistory.find({ model_id: order._id }).lean();
+    expect(logs.length).toBe(1);
+    expect(logs[0].change_type).toBe('delete');
+  });
+
+  it('does not log when the update fails', async () => {
+    const order = await Order.create({ status: 'pending', qty: 1 });
+    await LogHistory.deleteMany({});
+
+    await expect(Order.updateOne({ _id: order._id }, { $set: { qty: 'not-a-number' } })).rejects.toThrow();
+
+    const logs = await LogHistory.find({ model_id: order._id }).lean();
+    expect(logs.length).toBe(0);
+  });
+});
@@ -0,0 +1,143 @@
+require('../setup/mongodb');
+const mongoose = require('mongoose');
+const { changeLoggingPlugin, getLogHistoryModel } = require('../../dist');
+
+describe('mongoose-log-history plugin - Update Operators', () => {
+  let Order;
+  let LogHistory;
+
+  beforeAll(() => {
+    const orderSchema = new mongoose.Schema({
+      status: String,
+      note: String,
+      remark: String,
+      flags: Number,
+      reviewed_at: Date,
+      source: String,
+      legacy_status: String,
+      synced_at: mongoose.Schema.Types.Mixed,
+    });
+
+    orderSchema.plugin(changeLoggingPlugin, {
+      modelName: 'OrderUpdateOperators',
+      trackedFields: [
+        { value: 'status' },
+        { value: 'note' },
+        { value: 'remark' },
+        { value: 'flags' },
+        { value: 'reviewed_at' },
+        { value: 'source' },
+        { value: 'synced_at' },
+      ],
+      singleCollection: true,
+    });
+
+    Order = mongoose.model('OrderUpdateOperators', orderSchema);
+    LogHistory = getLogHistoryModel('OrderUpdateOperators', true);
+  });
+
+  afterEach(async () => {
+    await Order.deleteMany({});
+    await LogHistory.deleteMany({});
+  });
+
+  it('logs $rename as a remove on the old path and an add on the new path', async () => {
+    const order = await Order.create({ status: 'pending', note: 'fragile' });
+    await LogHistory.deleteMany({});
+
+    await Order.updateOne({ _id: order._id }, { $rename: { note: 'remark' } });
+
+    const logs = await LogHistory.find({ model_id: order._id, change_type: 'update' }).lean();
+    expect(logs.length).toBe(1);
+    expect(logs[0].logs).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ field_name: 'note', from_value: 'fragile', change_type: 'remove' }),
+        expect.objectContaining({ field_name: 'remark', to_value: 'fragile', change_type: 'add' }),
+      ])
+    );
+  });
+
+  it('logs $rename from an untracked field into a tracked one', async () => {
+    const { insertedId } = await Order.collection.insertOne({ legacy_status: 'archived' });
+
+    await Order.updateOne({ _id: insertedId }, { $rename: { legacy_status: 'status' } });
+
+    const log = await LogHistory.findOne({ model_id: insertedId, change_type: 'update' }).lean();
+    expect(log.logs).toEqual([
+      expect.objectContaining({ field_name: 'status', to_value: 'archived', change_type: 'add' }),
+    ]);
+  });
+
+  it('logs $currentDate with the timestamp of the hook', async () => {
+    const order = await Order.create({ status: 'pending' });
+    await LogHistory.deleteMany({});
+
+    const before = Date.now();
+    await Order.updateOne({ _id: order._id }, { $currentDate: { reviewed_at: true } });
+
+    const logs = await LogHistory.find({ model_id: order._id, change_type: 'update' }).lean();
+    expect(logs.length).toBe(1);
+    expect(logs[0].logs[0]).toMatchObject({ field_name: 'reviewed_at', change_type: 'add' });
+    expect(new Date(logs[0].logs[0].to_value).getTime()).toBeGreaterThanOrEqual(before - 1000);
+  });
+
+  it('logs $currentDate with type timestamp as a BSON timestamp', async () => {
+    const order = await Order.create({ status: 'pending' });
+    await LogHistory.deleteMany({});
+
+    await Order.updateOne({ _id: order._id }, { $currentDate: { synced_at: { $type: 'timestamp' } } });
+
+    const log = await LogHistory.findOne({ model_id: order._id, change_type: 'update' }).lean();
+    expect(log.logs[0]).toMatchObject({ field_name: 'synced_at', change_type: 'add' });
+    expect(log.logs[0].to_value).toMatch(/\$timestamp/);
+  });
+
+  it('logs $bit operations', async () => {
+    const order = await Order.create({ status: 'pending', flags: 0b0101 });
+    await LogHistory.deleteMany({});
+
+    await Order.updateOne({ _id: order._id }, { $bit: { flags: { or: 0b0010 } } });
+    await Order.updateOne({ _id: order._id }, { $bit: { flags: { and: 0b0011 } } });
+
+    const logs = await LogHistory.find({ model_id: order._id, change_type: 'update' }).sort({ created_at: 1 }).lean();
+    expect(logs.map((log) => log.logs[0].to_value)).toEqual(['7', '3']);
+  });
+
+  it('ignores $setOnInsert when the update matches an existing document', async () => {
+    const order = await Order.create({ status: 'pending', source: 'web' });
+    await LogHistory.deleteMany({});
+
+    await Order.updateOne(
+      { _id: order._id },
+      { $set: { status: 'done' }, $setOnInsert: { source: 'import' } },
+      { upsert: true }
+    );
+
+    const logs = await LogHistory.find({ model_id: order._id, change_type: 'update' }).lean();
+    expect(logs.length).toBe(1);
+    expect(logs[0].logs.map((log) => log.field_name)).toEqual(['status']);
+  });
+
+  it('applies $setOnInsert when an upsert creates the document', async () => {
+    const schema = new mongoose.Schema({ status: String, source: String });
+    schema.plugin(changeLoggingPlugin, {
+      modelName: 'OrderSetOnInsert',
+      trackedFields: [{ value: 'status' }],
+      contextFields: ['source'],
+      singleCollection: true,
+    });
+    const OrderSetOnInsert = mongoose.model('OrderSetOnInsert', schema);
+
+    const id = new mongoose.Types.ObjectId();
+    await OrderSetOnInsert.updateOne(
+      { _id: id },
+      { $set: { status: 'new' }, $setOnInsert: { source: 'import' } },
+      { upsert: true }
+    );
+
+    const logs = await LogHistory.find({ model_id: id }).lean();
+    expect(logs.length).toBe(1);
+    expect(logs[0].change_type).toBe('create');
+    expect(logs[0].context).toEqual({ doc: { source: 'import' } });
+  });
+});
@@ -0,0 +1,84 @@
+require('../setup/mongodb');
+const mongoose = require('mongoose');
+const { changeLoggingPlugin, getLogHistoryModel } = require('../../dist');
+
+describe('mongoose-log-history plugin - Wildcard Paths', () => {
+  let Product;
+  let LogHistory;
+
+  beforeAll(() => {
+    const productSchema = new mongoose.Schema({
+      name: String,
+      settings: { theme: String, lang: String },
+      prices: mongoose.Schema.Types.Mixed,
+      secrets: mongoose.Schema.Types.Mixed,
+    });
+
+    productSchema.plugin(changeLoggingPlugin, {
+      modelName: 'ProductWildcard',
+      trackedFields: [
+        { value: 'settings.*' },
+        { value: 'prices.*.amount' },
+        { value: 'secrets.**', mask: '***', requireReason: true },
+      ],
+      singleCollection: true,
+    });
+
+    Product = mongoose.model('ProductWildcard', productSchema);
+    LogHistory = getLogHistoryModel('ProductWildcard', true);
+  });
+
+  afterEach(async () => {
+    await Product.deleteMany({});
+    await LogHistory.deleteMany({});
+  });
+
+  it('logs every concrete path that changed', async () => {
+    const product = await Product.create({
+      name: 'Lamp',
+      settings: { theme: 'dark', lang: 'en' },
+      prices: { usd: { amount: 10, note: 'a' }, eur: { amount: 9 } },
+    });
+    await LogHistory.deleteMany({});
+
+    await Product.updateOne(
+      { _id: product._id },
+      {
+        $set: { 'settings.theme': 'light', 'prices.usd.note': 'b', 'prices.gbp': { amount: 8 } },
+        $inc: { 'prices.eur.amount': 1 },
+      }
+    );
+
+    const [log] = await LogHistory.find({ model_id: product._id }).lean();
+    expect(log.logs.map((l) => [l.field_name, l.change_type, l.to_value])).toEqual([
+      ['settings.theme', 'edit', 'light'],
+      ['prices.eur.amount', 'edit', '10'],
+      ['prices.gbp.amount', 'add', '8'],
+    ]);
+  });
+
+  it('logs wildcard paths changed through save()', async () => {
+    const product = await Product.create({ name: 'Lamp', prices: { usd: { amount: 10 } } });
+    product.prices = { usd: { amount: 12 } };
+    product.settings.lang = 'fr';
+    await product.save();
+
+    const log = await LogHistory.findOne({ model_id: product._id, change_type: 'update' }).lean();
+    expect(log.logs.map((l) => l.field_name).sort()).toEqual(['prices.usd.amount', 'settings.lang']);
+  });
+
+  it('masks and requires a reason for the paths matching a pattern', async () => {
+    const product = await Product.create({ name: 'Lamp', secrets: { api: { key: 'abc' } } });
+
+    await expect(Product.updateOne({ _id: product._id }, { $set: { 'secrets.api.key': 'def' } })).rejects.toThrow(
+      /reason is required to change secrets\.api\.key/
+    );
+
+    await Product.updateOne({ _id: product._id }, { $set: { 'secrets.api.key': 'def' } }, { reason: 'Rotated' });
+
+    const log = await LogHistory.findOne({ model_id: product._id, change_type: 'update' }).lean();
+    expect(log.logs).toEqual([
+      expect.objectContaining({ field_name: 'secrets.api.key', from_value: '***', to_value: '***' }),
+    ]);
+  });
+});
@@ -143,6 +143,166 @@ describe('change-tracking', () => {
       expect(changes.length).toBe(2);
     });
 
+    it('logs every concrete path of a wildcard field that changed', () => {
+      const trackedFields = [{ value: 'settings.*' }, { value: 'prices.*.amount', mask: '***' }];
+      const original = { settings: { theme: 'dark', lang: 'en' }, prices: { usd: { amount: 1 }, eur: { amount: 2 } } };
+      const updated = { settings: { theme: 'light', lang: 'en', tz: 'utc' }, prices: { usd: { amount: 3 } } };
+      const changes = getTrackedChanges(original, updated, trackedFields);
+      expect(changes.map((c) => [c.field_name, c.change_type, c.to_value])).toEqual([
+        ['settings.theme', 'edit', 'light'],
+        ['settings.tz', 'add', 'utc'],
+        ['prices.usd.amount', 'edit', '***'],
+        ['prices.eur.amount', 'remove', undefined],
+      ]);
+    });
+
+    it('expands wildcard fields nested in custom-key arrays against the items', () => {
+      const trackedFields = [
+        { value: 'items', arrayType: 'custom-key', arrayKey: 'sku', trackedFields: [{ value: 'attributes.**' }] },
+      ];
+      const original = { items: [{ sku: 'A', attributes: { size: 'M', color: { name: 'red' } } }] };
+      const updated = { items: [{ sku: 'A', attributes: { size: 'L', color: { name: 'red' } } }] };
+      const changes = getTrackedChanges(original, updated, trackedFields);
+      expect(changes.length).toBe(1);
+      expect(changes[0]).toMatchObject({ field_name: 'items.attributes.size', from_value: 'M', to_value: 'L' });
+    });
+
+    it('logs each changed leaf of an object with diffMode deep', () => {
+      const trackedFields = [{ value: 'address', diffMode: 'deep' }];
+      const original = { address: { city: 'A', zip: '1', geo: { lat: 1 } } };
+      const updated = { address: { city: 'B', geo: { lat: 1, lng: 2 } } };
+      const changes = getTrackedChanges(original, updated, trackedFields);
+      expect(changes.map((c) => [c.field_name, c.change_type, c.from_value, c.to_value])).toEqual([
+        ['address.city', 'edit', 'A', 'B'],
+        ['address.zip', 'remove', '1', undefined],
+        ['address.geo.lng', 'add', undefined, '2'],
+      ]);
+    });
+
+    it('logs every leaf of an added object and the whole value when it stops being an object', () => {
+      const trackedFields = [{ value: 'address', diffMode: 'deep' }];
+      expect(getTrackedChanges({}, { address: { city: 'A' } }, trackedFields)).toEqual([
+        { field_name: 'address.city', from_value: undefined, to_value: 'A', change_type: 'add' },
+      ]);
+      expect(getTrackedChanges({ address: { city: 'A' } }, { address: 'unknown' }, trackedFields)).toEqual([
+        { field_name: 'address', from_value: '{"city":"A"}', to_value: 'unknown', change_type: 'edit' },
+      ]);
+    });
+
+    it('logs added and removed empty objects as a whole with diffMode deep', () => {
+      const trackedFields = [{ value: 'address', diffMode: 'deep' }];
+      expect(getTrackedChanges({ address: {} }, {}, trackedFields)).toEqual([
+        { field_name: 'address', from_value: '{}', to_value: undefined, change_type: 'remove' },
+      ]);
+      expect(getTrackedChanges({ address: { geo: {} } }, { address: {} }, trackedFields)).toEqual([
+        { field_name: 'address.geo', from_value: '{}', to_value: undefined, change_type: 'remove' },
+      ]);
+      expect(getTrackedChanges({}, { address: {} }, trackedFields)).toEqual([
+        { field_name: 'address', from_value: undefined, to_value: '{}', change_type: 'add' },
+      ]);
+      expect(getTrackedChanges({ address: {} }, { address: {} }, trackedFields)).toEqual([]);
+    });
+
+    it('logs a reorder of a simple array only with trackOrder', () => {
+      const original = { tags: ['a', 'b'] };
+      const updated = { tags: ['b', 'a'] };
+      expect(getTrackedChanges(original, updated, [{ value: 'tags', arrayType: 'simple' }])).toEqual([]);
+      expect(getTrackedChanges(original, updated, [{ value: 'tags', arrayType: 'simple', trackOrder: true }])).toEqual([
+        { field_name: 'tags', from_value: '["a","b"]', to_value: '["b","a"]', change_type: 'reorder' },
+      ]);
+    });
+
+    it('logs removed duplicates of a simple array', () => {
+      const changes = getTrackedChanges({ tags: ['a', 'a'] }, { tags: ['a'] }, [
+        { value: 'tags', arrayType: 'simple' },
+      ]);
+      expect(changes).toEqual([{ field_name: 'tags', from_value: 'a', to_value: null, change_type: 'remove' }]);
+    });
+
+    it('logs custom-key item edits by valueField without nested trackedFields', () => {
+      const trackedFields = [{ value: 'items', arrayType: 'custom-key', arrayKey: 'sku', valueField: 'qty' }];
+      const original = {
+        items: [
+          { sku: 'A', qty: 1, note: 'x' },
+          { sku: 'B', qty: 2 },
+        ],
+      };
+      const updated = {
+        items: [
+          { sku: 'A', qty: 3, note: 'x' },
+          { sku: 'B', qty: 2, note: 'y' },
+        ],
+      };
+      expect(getTrackedChanges(original, updated, trackedFields)).toEqual([
+        { field_name: 'items', from_value: '1', to_value: '3', change_type: 'edit', context: { key: 'A' } },
+      ]);
+    });
+
+    it('logs whole custom-key item edits with the key or index in the context', () => {
+      const trackedFields = [{ value: 'stock', arrayType: 'custom-key', arrayKey: ['warehouse', 'sku'] }];
+      const original = { stock: [{ warehouse: 'A', sku: 'x', qty: 1 }, { qty: 1 }] };
+      const updated = { stock: [{ warehouse: 'A', sku: 'x', qty: 2 }, { qty: 3 }] };
+      const changes = getTrackedChanges(original, updated, trackedFields);
+      expect(changes.map((c) => [c.change_type, c.from_value, c.to_value, c.context])).toEqual([
+        [
+          'edit',
+          '{"warehouse":"A","sku":"x","qty":1}',
+          '{"warehouse":"A","sku":"x","qty":2}',
+          { key: { warehouse: 'A', sku: 'x' } },
+        ],
+        ['edit', '{"qty":1}', '{"qty":3}', { index: 1 }],
+      ]);
+    });
+
+    it('matches custom-key items by a composite key', () => {
+      const trackedFields = [
+        { value: 'stock', arrayType: 'custom-key', arrayKey: ['warehouse', 'sku'], trackedFields: [{ value: 'qty' }] },
+      ];
+      const original = {
+        stock: [
+          { warehouse: 'A', sku: 'x', qty: 1 },
+          { warehouse: 'B', sku: 'x', qty: 2 },
+        ],
+      };
+      const updated = {
+        stock: [
+          { warehouse: 'B', sku: 'x', qty: 3 },
+          { warehouse: 'A', sku: 'x', qty: 1 },
+        ],
+      };
+      const changes = getTrackedChanges(original, updated, trackedFields);
+      expect(changes).toEqual([{ field_name: 'stock.qty', from_value: '2', to_value: '3', change_type: 'edit' }]);
+    });
+
+    it('matches custom-key items without a key in order, ignoring keyed items inserted before them', () => {
+      const trackedFields = [
+        {
+          value: 'bins',
+          arrayType: 'custom-key',
+          arrayKey: 'code',
+          valueField: 'code',
+          trackedFields: [{ value: 'qty' }],
+        },
+      ];
+      const original = { bins: [{ qty: 1 }] };
+      const updated = { bins: [{ code: 'new', qty: 9 }, { qty: 1 }] };
+      const changes = getTrackedChanges(original, updated, trackedFields);
+      expect(changes).toEqual([{ field_name: 'bins', from_value: null, to_value: 'new', change_type: 'add' }]);
+    });
+
+    it('matches custom-key items without a key in order', () => {
+      const trackedFields = [
+        { value: 'items', arrayType: 'custom-key', arrayKey: 'sku', trackedFields: [{ value: 'qty' }] },
+      ];
+      const original = { items: [{ sku: 0, qty: 1 }, { qty: 5 }] };
+      const updated = { items: [{ sku: 0, qty: 2 }, { qty: 6 }] };
+      const changes = getTrackedChanges(original, updated, trackedFields);
+      expect(changes.map((c) => [c.from_value, c.to_value])).toEqual([
+        ['1', '2'],
+        ['5', '6'],
+      ]);
+    });
+
     it('handles missing trackedFields gracefully', () => {
       expect(getTrackedChanges({}, {}, []).length).toBe(0);
     });
@@ -1,3 +1,4 @@
+const { Schema, Types } = require('mongoose');
 const {
   isDate,
   isObject,
@@ -7,9 +8,25 @@ const {
   areValuesEqual,
   getValueByPath,
   arrayToKeyMap,
+  getArrayItemKey,
   diffSimpleArray,
   setByPath,
   valueToString,
+  matchesCondition,
+  matchesFilter,
+  getIdFilterValue,
+  compareValues,
+  mergeByPath,
+  extractReasonRequiredFields,
+  getSchemaTrackedFields,
+  getSchemaPathTrackedFields,
+  mergeTrackedFields,
+  isWildcardPath,
+  matchesWildcardPath,
+  updatePathTouches,
+  expandWildcardPath,
+  getFieldMask,
+  deepClone,
 } = require('../../dist/utils');
 
 describe('utils', () => {
@@ -153,6 +170,29 @@ describe('utils', () => {
       const arr = [{ v: 'a' }, { id: 2, v: 'b' }];
       expect(arrayToKeyMap(arr, 'id')).toEqual({ 2: { id: 2, v: 'b' } });
     });
+    it('keeps items whose key is 0 or an empty string', () => {
+      const arr = [
+        { id: 0, v: 'a' },
+        { id: '', v: 'b' },
+      ];
+      expect(arrayToKeyMap(arr, 'id')).toEqual({ 0: { id: 0, v: 'a' }, '': { id: '', v: 'b' } });
+    });
+  });
+
+  describe('getArrayItemKey', () => {
+    it('reads a field, a composite key or a key function', () => {
+      const item = { warehouse: 'A', sku: 'x', meta: { code: 7 } };
+      expect(getArrayItemKey(item, 'sku')).toBe('x');
+      expect(getArrayItemKey(item, 'meta.code')).toBe('7');
+      expect(getArrayItemKey(item, ['warehouse', 'sku'])).toBe('["A","x"]');
+      expect(getArrayItemKey(item, (i) => `${i.warehouse}/${i.sku}`)).toBe('A/x');
+    });
+    it('returns undefined when the item or a part of its key is missing', () => {
+      expect(getArrayItemKey({ sku: 'x' }, ['warehouse', 'sku'])).toBeUndefined();
+      expect(getArrayItemKey({ sku: null }, 'sku')).toBeUndefined();
+      expect(getArrayItemKey({ sku: 'x' }, () => undefined)).toBeUndefined();
+      expect(getArrayItemKey('x', 'sku')).toBeUndefined();
+    });
   });
 
   describe('diffSimpleArray', () => {
@@ -162,6 +202,16 @@ describe('utils', () => {
       expect(diffSimpleArray([1], [])).toEqual({ added: [], removed: [1] });
       expect(diffSimpleArray([], [])).toEqual({ added: [], removed: [] });
     });
+    it('counts duplicates and ignores the order', () => {
+      expect(diffSimpleArray(['a', 'a'], ['a'])).toEqual({ added: [], removed: ['a'] });
+      expect(diffSimpleArray(['a'], ['a', 'a', 'b'])).toEqual({ added: ['a', 'b'], removed: [] });
+      expect(diffSimpleArray([1, 2, 3], [3, 2, 1])).toEqual({ added: [], removed: [] });
+    });
+    it('compares ObjectIds and dates by value', () => {
+      const id = new Types.ObjectId();
+      const diff = diffSimpleArray([id, new Date(1000)], [new Types.ObjectId(id.toString()), new Date(1000)]);
+      expect(diff).toEqual({ added: [], removed: [] });
+    });
   });
 
   describe('setByPath', () => {
@@ -213,4 +263,311 @@ describe('utils', () => {
       expect(valueToString(12345, maskFn)).toBe('XXXXX');
     });
   });
+
+  describe('matchesCondition', () => {
+    it('matches equality, including elements of array values', () => {
+      expect(matchesCondition('a', 'a')).toBe(true);
+      expect(matchesCondition('a', 'b')).toBe(false);
+      expect(matchesCondition(['a', 'b'], 'b')).toBe(true);
+    });
+    it('matches ObjectIds against their string form', () => {
+      const id = new Types.ObjectId();
+      expect(matchesCondition(id, id.toString())).toBe(true);
+      expect(matchesCondition(id, new Types.ObjectId())).toBe(false);
+    });
+    it('matches comparison and set operators', () => {
+      expect(matchesCondition(5, { $gt: 1, $lte: 5 })).toBe(true);
+      expect(matchesCondition(5, { $lt: 5 })).toBe(false);
+      expect(matchesCondition('b', { $in: ['a', 'b'] })).toBe(true);
+      expect(matchesCondition('c', { $nin: ['a', 'b'] })).toBe(true);
+      expect(matchesCondition(1, { $ne: 1 })).toBe(false);
+      expect(matchesCondition(undefined, { $exists: false })).toBe(true);
+    });
+    it('matches $elemMatch against array elements', () => {
+      const items = [
+        { sku: 'A', qty: 1 },
+        { sku: 'B', qty: 5 },
+      ];
+      expect(matchesCondition(items, { $elemMatch: { sku: 'B', qty: { $gte: 5 } } })).toBe(true);
+      expect(matchesCondition(items, { $elemMatch: { sku: 'A', qty: { $gte: 5 } } })).toBe(false);
+      expect(matchesCondition([1, 8], { $elemMatch: { $gt: 5 } })).toBe(true);
+    });
+    it('does not match unsupported operators', () => {
+      expect(matchesCondition('a', { $regex: 'a' })).toBe(false);
+    });
+  });
+
+  describe('matchesFilter', () => {
+    it('matches path conditions and logical operators', () => {
+      const doc = { status: 'paid', customer: { tier: 2 } };
+      expect(matchesFilter(doc, { status: 'paid', 'customer.tier': { $gte: 2 } })).toBe(true);
+      expect(matchesFilter(doc, { $or: [{ status: 'new' }, { 'customer.tier': 2 }] })).toBe(true);
+      expect(matchesFilter(doc, { $nor: [{ status: 'paid' }] })).toBe(false);
+    });
+    it('returns undefined for filters it cannot evaluate', () => {
+      expect(matchesFilter({ status: 'paid' }, { status: { $regex: '^p' } })).toBeUndefined();
+      expect(matchesFilter({ status: 'paid' }, { $expr: { $eq: ['$status', 'paid'] } })).toBeUndefined();
+      expect(matchesFilter({ items: [{ sku: 'a' }] }, { 'items.sku': 'a' })).toBeUndefined();
+    });
+  });
+
+  describe('getIdFilterValue', () => {
+    it('returns the _id of an _id equality filter', () => {
+      const id = new Types.ObjectId();
+      expect(getIdFilterValue({ _id: id })).toBe(id);
+      expect(getIdFilterValue({ _id: 'abc' })).toBe('abc');
+    });
+    it('returns undefined for other filters', () => {
+      expect(getIdFilterValue({ _id: { $in: [1, 2] } })).toBeUndefined();
+      expect(getIdFilterValue({ _id: 1, status: 'paid' })).toBeUndefined();
+      expect(getIdFilterValue({ status: 'paid' })).toBeUndefined();
+    });
+  });
+
+  describe('compareValues', () => {
+    it('compares values of the same type', () => {
+      expect(compareValues(1, 2)).toBeLessThan(0);
+      expect(compareValues('b', 'a')).toBeGreaterThan(0);
+      expect(compareValues(new Date('2020-01-01'), new Date('2020-01-01'))).toBe(0);
+    });
+    it('orders values of different types like MongoDB', () => {
+      const sorted = [new Date('2020-01-01'), true, 'a', 1, null].sort(compareValues);
+      expect(sorted).toEqual([null, 1, 'a', true, new Date('2020-01-01')]);
+    });
+  });
+
+  describe('mergeByPath', () => {
+    it('expands dotted paths into nested objects without mutating the base', () => {
+      const base = { address: { city: 'A', zip: '1' } };
+      const merged = mergeByPath(base, { 'address.city': 'B', 'meta.source': 'web' });
+      expect(merged).toEqual({ address: { city: 'B', zip: '1' }, meta: { source: 'web' } });
+      expect(base).toEqual({ address: { city: 'A', zip: '1' } });
+    });
+    it('sets array elements by index', () => {
+      const base = { items: [{ qty: 1 }, { qty: 2 }] };
+      const merged = mergeByPath(base, { 'items.1.qty': 5 });
+      expect(merged.items).toEqual([{ qty: 1 }, { qty: 5 }]);
+      expect(base.items[1].qty).toBe(2);
+    });
+    it('removes fields for undefined values', () => {
+      const merged = mergeByPath(
+        { a: { b: 1, c: 2 }, tags: ['x', 'y'], d: 1 },
+        { 'a.b': undefined, 'tags.0': undefined, d: undefined, 'e.f': undefined }
+      );
+      expect(merged).toEqual({ a: { c: 2 }, tags: [null, 'y'] });
+    });
+  });
+
+  describe('isWildcardPath', () => {
+    it('detects * and ** segments', () => {
+      expect(isWildcardPath('settings.*')).toBe(true);
+      expect(isWildcardPath('**')).toBe(true);
+      expect(isWildcardPath('settings.theme')).toBe(false);
+      expect(isWildcardPath('a*.b')).toBe(false);
+    });
+  });
+
+  describe('matchesWildcardPath', () => {
+    it('matches * against exactly one segment', () => {
+      expect(matchesWildcardPath('prices.*.amount', 'prices.usd.amount')).toBe(true);
+      expect(matchesWildcardPath('prices.*.amount', 'prices.amount')).toBe(false);
+      expect(matchesWildcardPath('settings.*', 'settings.theme.color')).toBe(false);
+    });
+    it('matches a trailing ** against one or more segments and other ** against zero or more', () => {
+      expect(matchesWildcardPath('meta.**', 'meta.a.b')).toBe(true);
+      expect(matchesWildcardPath('meta.**', 'meta')).toBe(false);
+      expect(matchesWildcardPath('meta.**.b', 'meta.b')).toBe(true);
+      expect(matchesWildcardPath('meta.**.b', 'meta.a.c.b')).toBe(true);
+    });
+    it('only matches the same path without wildcards', () => {
+      expect(matchesWildcardPath('status', 'status')).toBe(true);
+      expect(matchesWildcardPath('status', 'status.code')).toBe(false);
+    });
+  });
+
+  describe('updatePathTouches', () => {
+    it('matches the field, its ancestors and its descendants', () => {
+      expect(updatePathTouches('customer.ssn', 'customer.ssn')).toBe(true);
+      expect(updatePathTouches('customer.ssn', 'customer')).toBe(true);
+      expect(updatePathTouches('customer', 'customer.ssn')).toBe(true);
+      expect(updatePathTouches('customer.ssn', 'customer.name')).toBe(false);
+      expect(updatePathTouches('status', 'statusCode')).toBe(false);
+    });
+    it('ignores array indexes and positional operators', () => {
+      expect(updatePathTouches('items.price', 'items.0.price')).toBe(true);
+      expect(updatePathTouches('items.price', 'items.$[item].price')).toBe(true);
+      expect(updatePathTouches('items.price', 'items.$.sku')).toBe(false);
+    });
+    it('matches wildcard fields', () => {
+      expect(updatePathTouches('secrets.**', 'secrets.api.key')).toBe(true);
+      expect(updatePathTouches('secrets.**', 'secrets')).toBe(true);
+      expect(updatePathTouches('prices.*.amount', 'prices.usd')).toBe(true);
+      expect(updatePathTouches('prices.*.amount', 'prices.usd.note')).toBe(false);
+    });
+  });
+
+  describe('expandWildcardPath', () => {
+    const original = { settings: { theme: 'dark', lang: 'en' }, prices: { usd: { amount: 1 }, eur: { amount: 2 } } };
+    const updated = { settings: { theme: 'light', tz: 'utc' }, prices: { usd: { amount: 3 } }, tags: ['a'] };
+
+    it('expands * against the union of keys of both documents', () => {
+      expect(expandWildcardPath('settings.*', original, updated)).toEqual([
+        'settings.theme',
+        'settings.lang',
+        'settings.tz',
+      ]);
+      expect(expandWildcardPath('prices.*.amount', original, updated)).toEqual([
+        'prices.usd.amount',
+        'prices.eur.amount',
+      ]);
+    });
+    it('expands a trailing ** down to leaf values', () => {
+      const id = new Types.ObjectId();
+      expect(expandWildcardPath('**', original, { ...updated, owner: id })).toEqual([
+        'settings.theme',
+        'settings.lang',
+        'settings.tz',
+        'prices.usd.amount',
+        'prices.eur.amount',
+        'tags',
+        'owner',
+      ]);
+    });
+    it('treats a path holding an object in one document and a value in the other as a leaf', () => {
+      expect(expandWildcardPath('meta.**', { meta: { a: 'x' } }, { meta: { a: { b: 1 } } })).toEqual(['meta.a']);
+    });
+    it('skips plain segments missing from both documents', () => {
+      expect(expandWildcardPath('**.amount', original, updated)).toEqual(['prices.usd.amount', 'prices.eur.amount']);
+      expect(expandWildcardPath('missing.*', original, updated)).toEqual([]);
+    });
+  });
+
+  describe('getFieldMask', () => {
+    it('looks up the path first and wildcard patterns after', () => {
+      const maskedFields = { 'secrets.*': '***', 'secrets.pin': '####' };
+      expect(getFieldMask(maskedFields, 'secrets.pin')).toBe('####');
+      expect(getFieldMask(maskedFields, 'secrets.token')).toBe('***');
+      expect(getFieldMask(maskedFields, 'secrets')).toBeUndefined();
+    });
+    it('masks the paths matching a pattern when cloning', () => {
+      const cloned = deepClone({ prices: { usd: { amount: 5, code: 'USD' } } }, { 'prices.*.amount': '***' });
+      expect(cloned).toEqual({ prices: { usd: { amount: '***', code: 'USD' } } });
+    });
+  });
+
+  describe('extractReasonRequiredFields', () => {
+    it('returns the paths of fields with requireReason, including nested ones', () => {
+      const fields = extractReasonRequiredFields([
+        { value: 'status', requireReason: true },
+        { value: 'note' },
+        {
+          value: 'items',
+          arrayType: 'custom-key',
+          arrayKey: 'sku',
+          trackedFields: [{ value: 'price', requireReason: true }, { value: 'qty' }],
+        },
+      ]);
+      expect(fields).toEqual(['status', 'items.price']);
+    });
+  });
+
+  describe('getSchemaTrackedFields', () => {
+    const schema = new Schema(
+      {
+        status: String,
+        tags: [String],
+        items: [{ sku: String, qty: Number }],
+        lines: [new Schema({ note: String }, { _id: false })],
+        address: new Schema({ city: String, zip: String }),
+        customer: { name: String, secret: String },
+        meta: {},
+      },
+      { timestamps: true }
+    );
+
+    it('derives tracked fields from the schema paths', () => {
+      expect(getSchemaTrackedFields(schema)).toEqual([
+        { value: 'status' },
+        { value: 'tags', arrayType: 'simple' },
+        {
+          value: 'items',
+          arrayType: 'custom-key',
+          arrayKey: '_id',
+          trackedFields: [{ value: 'sku' }, { value: 'qty' }],
+        },
+        { value: 'lines' },
+        { value: 'address.city' },
+        { value: 'address.zip' },
+        { value: 'customer.name' },
+        { value: 'customer.secret' },
+        { value: 'meta' },
+      ]);
+    });
+    it('leaves out excluded fields and the paths nested under them', () => {
+      const fields = getSchemaTrackedFields(schema, ['customer.secret', 'address', 'items.qty', 'tags']);
+      expect(fields.map((field) => field.value)).toEqual(['status', 'items', 'lines', 'customer.name', 'meta']);
+      expect(fields[1].trackedFields).toEqual([{ value: 'sku' }]);
+    });
+  });
+
+  describe('getSchemaPathTrackedFields', () => {
+    it('collects the logHistory options of schema paths and subdocument schemas', () => {
+      const itemSchema = new Schema({ sku: String, qty: { type: Number, logHistory: true } });
+      const schema = new Schema({
+        status: { type: String, logHistory: true },
+        ssn: { type: String, logHistory: { mask: '***' } },
+        items: [{ type: itemSchema, logHistory: { arrayKey: 'sku' } }],
+        tags: { type: [String], logHistory: true },
+        address: new Schema({ city: { type: String, logHistory: true }, zip: String }),
+        note: String,
+        hidden: { type: String, logHistory: false },
+      });
+
+      expect(getSchemaPathTrackedFields(schema)).toEqual([
+        { value: 'status' },
+        { value: 'ssn', mask: '***' },
+        { value: 'items', arrayType: 'custom-key', arrayKey: 'sku', trackedFields: [{ value: 'qty' }] },
+        { value: 'tags', arrayType: 'simple' },
+        { value: 'address.city' },
+      ]);
+      expect(getSchemaTrackedFields(schema).map((field) => field.value)).not.toContain('hidden');
+    });
+    it('throws if a logHistory option is not a boolean or an object', () => {
+      const schema = new Schema({ status: { type: String, logHistory: 'yes' } });
+      expect(() => getSchemaPathTrackedFields(schema)).toThrow(/logHistory/);
+    });
+  });
+
+  describe('mergeTrackedFields', () => {
+    it('replaces base fields that overlap the path of an override', () => {
+      const merged = mergeTrackedFields(
+        [{ value: 'status' }, { value: 'customer.name' }, { value: 'note' }],
+        [
+          { value: 'customer', mask: '***' },
+          { value: 'status', requireReason: true },
+        ]
+      );
+      expect(merged).toEqual([
+        { value: 'note' },
+        { value: 'customer', mask: '***' },
+        { value: 'status', requireReason: true },
+      ]);
+    });
+    it('replaces base fields matched by a wildcard override', () => {
+      const merged = mergeTrackedFields(
+        [{ value: 'prices.usd.amount' }, { value: 'settings.theme.color' }, { value: 'name' }],
+        [{ value: 'prices.*.amount' }, { value: 'settings.*' }]
+      );
+      expect(merged).toEqual([{ value: 'name' }, { value: 'prices.*.amount' }, { value: 'settings.*' }]);
+    });
+    it('throws if an override of a different path would drop a mask', () => {
+      const base = [{ value: 'customer.ssn', mask: '***' }];
+      expect(() => mergeTrackedFields(base, [{ value: 'customer' }])).toThrow(/drop the mask of "customer\.ssn"/);
+      expect(() => mergeTrackedFields(base, [{ value: 'customer.*' }])).toThrow(/drop the mask/);
+      expect(mergeTrackedFields(base, [{ value: 'customer', mask: '***' }])).toEqual([
+        { value: 'customer', mask: '***' },
+      ]);
+      expect(mergeTrackedFields(base, [{ value: 'customer.ssn' }])).toEqual([{ value: 'customer.ssn' }]);
+    });
+  });
 });